@@ -0,0 +1,153 @@
+/**
+ * FaceMoji - Detection Worker
+ *
+ * Runs the face-api.js pipeline off the main thread so the UI stays responsive
+ * while detection runs. The page sends video frames as transferred ImageBitmaps;
+ * the worker draws them onto an OffscreenCanvas, runs detection and answers with
+ * plain, structured-clone friendly results.
+ *
+ * Messages (each request carries an `id` that is echoed back):
+ * - { type: 'init', modelPath, nets }    load face-api.js and the given networks
+ * - { type: 'loadModel', net }           load another network on demand
+ * - { type: 'detect', bitmap, options }  detect faces in a frame
+ *
+ * Frames that arrive while a detection is still running are closed and answered
+ * with `{ dropped: true }`, so the worker never builds up a backlog.
+ */
+
+const FACE_API_URL = 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js';
+
+// face-api.js expects DOM element classes; OffscreenCanvas stands in for all of them
+self.HTMLCanvasElement = OffscreenCanvas;
+self.CanvasRenderingContext2D = OffscreenCanvasRenderingContext2D;
+self.HTMLImageElement = class {};
+self.HTMLVideoElement = class {};
+
+let modelPath = null;
+let canvas = null;
+let isDetecting = false;
+
+self.addEventListener('message', async (event) => {
+    const { id, type } = event.data;
+
+    if (type === 'detect' && isDetecting) {
+        event.data.bitmap.close();
+        self.postMessage({ id, result: { dropped: true } });
+        return;
+    }
+
+    try {
+        let result;
+        if (type === 'init') {
+            result = await init(event.data);
+        } else if (type === 'loadModel') {
+            result = await loadModel(event.data.net);
+        } else if (type === 'detect') {
+            result = await detect(event.data.bitmap, event.data.options);
+        } else {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
+
+async function init(data) {
+    importScripts(FACE_API_URL);
+
+    faceapi.env.setEnv({
+        Canvas: OffscreenCanvas,
+        CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+        Image: self.HTMLImageElement,
+        ImageData,
+        Video: self.HTMLVideoElement,
+        createCanvasElement: () => new OffscreenCanvas(1, 1),
+        createImageElement: () => {
+            throw new Error('Images are not available in the detection worker');
+        },
+        fetch: (...args) => fetch(...args),
+        readFile: () => {
+            throw new Error('Files are not available in the detection worker');
+        }
+    });
+
+    modelPath = data.modelPath;
+    for (const net of data.nets) {
+        await loadModel(net);
+    }
+    return { ready: true };
+}
+
+async function loadModel(net) {
+    if (!faceapi.nets[net].isLoaded) {
+        await faceapi.nets[net].loadFromUri(modelPath);
+    }
+    return { loaded: net };
+}
+
+async function detect(bitmap, options) {
+    isDetecting = true;
+    try {
+        if (!canvas) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        }
+        if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+        }
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const detectorOptions = options.detector === 'ssdMobilenetv1'
+            ? new faceapi.SsdMobilenetv1Options(options.detectorParams)
+            : new faceapi.TinyFaceDetectorOptions(options.detectorParams);
+
+        let task = faceapi.detectAllFaces(canvas, detectorOptions);
+        if (options.landmarks) {
+            task = task.withFaceLandmarks(options.tinyLandmarks).withFaceExpressions();
+            if (options.ageGender) {
+                task = task.withAgeAndGender();
+            }
+            if (options.descriptors) {
+                task = task.withFaceDescriptors();
+            }
+        }
+
+        const results = await task;
+        return { detections: results.map(serializeDetection) };
+    } finally {
+        isDetecting = false;
+    }
+}
+
+/**
+ * Copy the fields the page uses into plain objects that survive postMessage
+ */
+function serializeDetection(result) {
+    // Detector-only results are FaceDetections rather than { detection, ... } objects
+    const detection = result.detection || result;
+    const { x, y, width, height } = detection.box;
+    const serialized = {
+        detection: { box: { x, y, width, height }, score: detection.score }
+    };
+
+    if (result.landmarks) {
+        serialized.landmarks = {
+            positions: result.landmarks.positions.map(point => ({ x: point.x, y: point.y }))
+        };
+    }
+    if (result.expressions) {
+        serialized.expressions = { ...result.expressions };
+    }
+    if (typeof result.age === 'number') {
+        serialized.age = result.age;
+        serialized.gender = result.gender;
+        serialized.genderProbability = result.genderProbability;
+    }
+    if (result.descriptor) {
+        serialized.descriptor = result.descriptor;
+    }
+
+    return serialized;
+}
@@ -13,718 +13,6658 @@
  * - Privacy-focused (all processing done locally)
  */
 
-class FaceMojiApp {
+const EMOTIONS = ['happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised', 'neutral'];
+
+const EMOTION_EMOJIS = {
+    happy: '😊',
+    sad: '😢',
+    angry: '😠',
+    fearful: '😨',
+    disgusted: '🤢',
+    surprised: '😲',
+    neutral: '😐'
+};
+
+// Line and bar colors for charts and reports
+const EMOTION_COLORS = {
+    happy: '#f59e0b',
+    sad: '#3b82f6',
+    angry: '#ef4444',
+    fearful: '#8b5cf6',
+    disgusted: '#10b981',
+    surprised: '#f97316',
+    neutral: '#9ca3af'
+};
+
+// Overlay color themes, keyed by their setting value. `bars` overrides the
+// per-emotion colors of the expression bars.
+const OVERLAY_THEMES = {
+    classic: {
+        box: '#10b981',
+        lineWidth: 3,
+        labelBackground: 'rgba(16, 185, 129, 0.8)',
+        labelText: '#ffffff',
+        emotionBackground: 'rgba(99, 102, 241, 0.9)',
+        emotionText: '#ffffff',
+        landmarks: '#ec4899',
+        panel: 'rgba(17, 24, 39, 0.7)',
+        barTrack: 'rgba(255, 255, 255, 0.2)'
+    },
+    ocean: {
+        box: '#3b82f6',
+        lineWidth: 3,
+        labelBackground: 'rgba(59, 130, 246, 0.85)',
+        labelText: '#ffffff',
+        emotionBackground: 'rgba(14, 116, 144, 0.9)',
+        emotionText: '#ffffff',
+        landmarks: '#22d3ee',
+        panel: 'rgba(15, 23, 42, 0.75)',
+        barTrack: 'rgba(255, 255, 255, 0.2)'
+    },
+    sunset: {
+        box: '#f97316',
+        lineWidth: 3,
+        labelBackground: 'rgba(249, 115, 22, 0.85)',
+        labelText: '#ffffff',
+        emotionBackground: 'rgba(219, 39, 119, 0.9)',
+        emotionText: '#ffffff',
+        landmarks: '#fde047',
+        panel: 'rgba(67, 20, 7, 0.75)',
+        barTrack: 'rgba(255, 255, 255, 0.2)'
+    },
+    highContrast: {
+        box: '#ffff00',
+        lineWidth: 4,
+        labelBackground: '#000000',
+        labelText: '#ffff00',
+        emotionBackground: '#000000',
+        emotionText: '#ffffff',
+        landmarks: '#00ffff',
+        panel: '#000000',
+        barTrack: '#555555',
+        bars: '#ffff00'
+    }
+};
+
+// 68-point landmark regions traced by the contour overlay
+const LANDMARK_REGIONS = [
+    { from: 0, to: 16, closed: false },     // Jaw
+    { from: 17, to: 21, closed: false },    // Eyebrows
+    { from: 22, to: 26, closed: false },
+    { from: 27, to: 30, closed: false },    // Nose bridge
+    { from: 31, to: 35, closed: false },    // Nostrils
+    { from: 36, to: 41, closed: true },     // Eyes
+    { from: 42, to: 47, closed: true },
+    { from: 48, to: 59, closed: true },     // Outer lips
+    { from: 60, to: 67, closed: true }      // Inner lips
+];
+
+// Selectable face-api.js networks, keyed by their setting value
+const DETECTOR_MODELS = {
+    tinyFaceDetector: { net: 'tinyFaceDetector', label: 'TinyFaceDetector' },
+    ssdMobilenetv1: { net: 'ssdMobilenetv1', label: 'SSD MobileNet v1' }
+};
+
+const LANDMARK_MODELS = {
+    full: { net: 'faceLandmark68Net', label: 'FaceLandmark68Net' },
+    tiny: { net: 'faceLandmark68TinyNet', label: 'FaceLandmark68TinyNet' }
+};
+
+// Optional; only downloaded once age and gender estimation is turned on
+const AGE_GENDER_MODEL = { net: 'ageGenderNet', label: 'AgeGenderNet' };
+
+// Valid values for every persisted setting; anything outside is clamped or dropped.
+// Settings marked `urlPreset: false` are never read from the query string.
+const SETTINGS_SCHEMA = {
+    detectionSensitivity: { type: 'number', min: 0.1, max: 0.9 },
+    maxFaces: { type: 'integer', min: 1, max: 10 },
+    emotionDetectionEnabled: { type: 'boolean' },
+    preferredCamera: { type: 'string', nullable: true },
+    detector: { type: 'enum', values: Object.keys(DETECTOR_MODELS) },
+    tinyInputSize: { type: 'enum', values: [128, 160, 224, 320, 416, 512, 608] },
+    landmarkModel: { type: 'enum', values: Object.keys(LANDMARK_MODELS) },
+    recognitionThreshold: { type: 'number', min: 0.3, max: 0.8 },
+    enrollmentSamples: { type: 'integer', min: 1, max: 10 },
+    smoothingMethod: { type: 'enum', values: ['none', 'ema', 'window'] },
+    smoothingFactor: { type: 'number', min: 0.05, max: 1 },
+    smoothingWindow: { type: 'integer', min: 2, max: 30 },
+    emotionDwellTime: { type: 'integer', min: 0, max: 2000 },
+    emotionEnterThreshold: { type: 'number', min: 0.1, max: 0.9 },
+    emotionExitThreshold: { type: 'number', min: 0.05, max: 0.9 },
+    governorEnabled: { type: 'boolean' },
+    targetFps: { type: 'integer', min: 5, max: 30 },
+    recordingTimeline: { type: 'boolean' },
+    overlayMode: { type: 'enum', values: ['boxes', 'emoji'] },
+    privacyMode: { type: 'enum', values: ['off', 'blur', 'pixelate'] },
+    privacyScope: { type: 'enum', values: ['all', 'unknown'] },
+    privacyStrength: { type: 'integer', min: 1, max: 10 },
+    privacyPadding: { type: 'number', min: 0, max: 0.5 },
+    headPoseAxes: { type: 'boolean' },
+    attentionAngle: { type: 'integer', min: 5, max: 45 },
+    eyeClosedThreshold: { type: 'number', min: 0.1, max: 0.35 },
+    drowsinessTime: { type: 'integer', min: 500, max: 5000 },
+    drowsinessSound: { type: 'boolean' },
+    mouthOpenThreshold: { type: 'number', min: 0.2, max: 1 },
+    ageGenderEnabled: { type: 'boolean' },
+    gridMaxCameras: { type: 'integer', min: 2, max: 4 },
+    // A shared link must not install webhooks, screenshots or recordings
+    rules: { type: 'rules', urlPreset: false },
+    boothSmileThreshold: { type: 'number', min: 0.5, max: 0.95 },
+    boothCountdown: { type: 'integer', min: 1, max: 10 },
+    boothBurstCount: { type: 'integer', min: 2, max: 8 },
+    boothLayout: { type: 'enum', values: ['strip', 'grid'] },
+    boothEmojiFrames: { type: 'boolean' },
+    calibrationEnabled: { type: 'boolean' },
+    overlayBoxes: { type: 'boolean' },
+    overlayLabels: { type: 'boolean' },
+    overlayConfidence: { type: 'boolean' },
+    overlayLandmarks: { type: 'enum', values: ['off', 'dots', 'contours'] },
+    overlayExpressionBars: { type: 'boolean' },
+    overlayTheme: { type: 'enum', values: Object.keys(OVERLAY_THEMES) },
+    mirrorView: { type: 'boolean' }
+};
+
+const SETTINGS_VERSION = 1;
+
+// Upgrades stored settings from version N to N + 1
+const SETTINGS_MIGRATIONS = {
+    // Unversioned data is a bare settings object
+    0: (data) => ({ settings: data })
+};
+
+// What the user is told for each FaceMojiError code
+const ERROR_DETAILS = {
+    'model-load': {
+        title: 'Cannot download face detection models',
+        tip: 'Please check your internet connection and ensure CDNs are not blocked.'
+    },
+    'library-missing': {
+        title: 'Failed to load face-api.js library',
+        tip: 'Please check your internet connection and ensure CDNs are accessible.'
+    },
+    'camera-permission': {
+        title: 'Camera permission denied',
+        tip: 'Please grant camera permission in your browser settings and try again.'
+    },
+    'camera-busy': {
+        title: 'Camera is in use',
+        tip: 'Close other apps or tabs that are using the camera and try again.'
+    },
+    'camera-unavailable': {
+        title: 'No camera found',
+        tip: 'Connect a camera, or open a photo or video file instead.'
+    },
+    'insecure-context': {
+        title: 'Camera requires a secure connection',
+        tip: 'Open FaceMoji over HTTPS or from localhost to use the camera.'
+    },
+    'unknown': {
+        title: 'Something went wrong',
+        tip: ''
+    }
+};
+
+// Endpoints checked by the diagnostics network test
+const DIAGNOSTIC_ENDPOINTS = [
+    { name: 'Google DNS', url: 'https://8.8.8.8/', method: 'GET' },
+    { name: 'face-api.js CDN (jsDelivr)', url: 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js', method: 'HEAD' },
+    { name: 'face-api.js Models (jsDelivr)', url: 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights/tiny_face_detector_model-weights_manifest.json', method: 'HEAD' },
+    { name: 'face-api.js CDN (unpkg)', url: 'https://unpkg.com/face-api.js@0.22.2/dist/face-api.min.js', method: 'HEAD' },
+    { name: 'Font Awesome CDN', url: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css', method: 'HEAD' },
+    { name: 'Google Fonts', url: 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap', method: 'HEAD' }
+];
+
+// Average head in model units, y up and z towards the camera, keyed by the
+// 68-point landmark each point corresponds to
+const HEAD_MODEL_POINTS = [
+    { index: 30, point: [0, 0, 0] },            // Nose tip
+    { index: 8, point: [0, -330, -65] },        // Chin
+    { index: 36, point: [-225, 170, -135] },    // Outer corner of the eye on the image's left
+    { index: 45, point: [225, 170, -135] },     // Outer corner of the other eye
+    { index: 48, point: [-150, -150, -125] },   // Mouth corners
+    { index: 54, point: [150, -150, -125] }
+];
+
+// Actions a rule can take, with their labels in the rules editor
+const RULE_ACTIONS = {
+    screenshot: 'Capture a screenshot',
+    toast: 'Show a toast',
+    sound: 'Play a sound',
+    startRecording: 'Start recording',
+    stopRecording: 'Stop recording',
+    webhook: 'POST to a local webhook'
+};
+
+// Rule actions that capture the single view, which grid view replaces
+const SINGLE_VIEW_RULE_ACTIONS = ['screenshot', 'startRecording'];
+
+const MAX_RULES = 20;
+
+// Privacy masks of faces that may have moved since they were detected grow by
+// this share of the face box per second, up to one second's worth
+const PRIVACY_PADDING_GROWTH = 1;
+
+// Session timeline chart; long sessions are squeezed so the canvas stays
+// under the browser's maximum canvas width
+const TIMELINE_PIXELS_PER_SECOND = 20;
+const TIMELINE_MAX_WIDTH = 16000;
+const TIMELINE_GRID_STEPS = [5, 10, 30, 60, 120, 300, 600, 1800, 3600];   // seconds
+
+// Session dashboard histogram of how long each face stayed in view
+const TIME_IN_FRAME_BUCKETS = [
+    { label: '< 10 s', min: 0, max: 10000 },
+    { label: '10-30 s', min: 10000, max: 30000 },
+    { label: '30 s-2 min', min: 30000, max: 120000 },
+    { label: '2-10 min', min: 120000, max: 600000 },
+    { label: '10 min +', min: 600000, max: Infinity }
+];
+
+// Emotion calibration wizard; optional steps can be skipped
+const CALIBRATION_STEPS = [
+    { id: 'neutral', label: 'Neutral', prompt: 'Relax and look at the camera with your usual resting face', optional: false },
+    { id: 'happy', label: 'Smile', prompt: 'Give the camera a big smile', optional: true },
+    { id: 'surprised', label: 'Surprise', prompt: 'Look surprised: eyebrows up, mouth open', optional: true }
+];
+const CALIBRATION_CAPTURE_TIME = 3000;      // ms of samples per step
+const CALIBRATION_MIN_SAMPLES = 5;
+
+/**
+ * Escape text for markup, e.g. names, labels and messages shown in toasts
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Frame-to-frame face tracker
+ *
+ * Matches each frame's detections against the faces seen in previous frames
+ * (box overlap plus landmark shape and, when available, descriptor similarity)
+ * so that a person keeps the same ID while they move around the frame.
+ */
+class FaceTracker {
+    constructor(options = {}) {
+        this.options = {
+            minMatchScore: 0.3,     // Minimum similarity to continue an existing track
+            iouWeight: 0.6,         // Weight of bounding box overlap
+            shapeWeight: 0.4,       // Weight of normalized landmark shape similarity
+            descriptorWeight: 0.5,  // Share of the score taken by descriptors when present
+            gracePeriod: 1000,      // ms a lost face is kept before it counts as gone
+            historyLength: 300,     // Samples kept per track
+            ...options
+        };
+        
+        this.tracks = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Match detections to tracks, tagging each detection with a `trackId`.
+     * Returns the tracks that entered and exited during this frame.
+     */
+    update(detections, timestamp = performance.now()) {
+        const entered = [];
+        const exited = [];
+        const candidates = [];
+        
+        // Score every detection/track pair
+        detections.forEach((detection, detectionIndex) => {
+            this.tracks.forEach(track => {
+                const score = this.matchScore(track, detection);
+                if (score >= this.options.minMatchScore) {
+                    candidates.push({ detectionIndex, track, score });
+                }
+            });
+        });
+        
+        // Greedily assign the best pairs first
+        candidates.sort((a, b) => b.score - a.score);
+        const matchedDetections = new Set();
+        const matchedTracks = new Set();
+        
+        candidates.forEach(({ detectionIndex, track, score }) => {
+            if (matchedDetections.has(detectionIndex) || matchedTracks.has(track.id)) {
+                return;
+            }
+            matchedDetections.add(detectionIndex);
+            matchedTracks.add(track.id);
+            this.updateTrack(track, detections[detectionIndex], timestamp);
+        });
+        
+        // Unmatched detections start new tracks
+        detections.forEach((detection, detectionIndex) => {
+            if (matchedDetections.has(detectionIndex)) return;
+            
+            const track = {
+                id: this.nextId++,
+                firstSeen: timestamp,
+                lastSeen: timestamp,
+                visible: true,
+                history: []
+            };
+            this.tracks.set(track.id, track);
+            matchedTracks.add(track.id);
+            this.updateTrack(track, detection, timestamp);
+            entered.push(track);
+        });
+        
+        // Hide unmatched tracks and drop those past the grace period
+        this.tracks.forEach(track => {
+            if (matchedTracks.has(track.id)) return;
+            
+            track.visible = false;
+            if (timestamp - track.lastSeen > this.options.gracePeriod) {
+                this.tracks.delete(track.id);
+                exited.push(track);
+            }
+        });
+        
+        return { entered, exited };
+    }
+
+    /**
+     * Refresh a track with its newly matched detection
+     */
+    updateTrack(track, detection, timestamp) {
+        track.lastSeen = timestamp;
+        track.visible = true;
+        track.box = detection.detection.box;
+        track.score = detection.detection.score;
+        // Detector-only frames keep the last landmark shape and expressions
+        track.shape = FaceTracker.normalizeShape(detection) || track.shape || null;
+        track.descriptor = detection.descriptor || track.descriptor || null;
+        track.expressions = detection.expressions || track.expressions || null;
+        
+        track.history.push({
+            timestamp,
+            box: { x: track.box.x, y: track.box.y, width: track.box.width, height: track.box.height },
+            score: track.score,
+            expressions: track.expressions ? { ...track.expressions } : null
+        });
+        if (track.history.length > this.options.historyLength) {
+            track.history.shift();
+        }
+        
+        detection.trackId = track.id;
+    }
+
+    /**
+     * Similarity between an existing track and a detection (0-1)
+     */
+    matchScore(track, detection) {
+        const iou = FaceTracker.iou(track.box, detection.detection.box);
+        const hasDescriptors = track.descriptor && detection.descriptor;
+        
+        // Without overlap only an identity descriptor can justify a match
+        if (iou === 0 && !hasDescriptors) {
+            return 0;
+        }
+        
+        const shape = FaceTracker.normalizeShape(detection);
+        const shapeSimilarity = track.shape && shape
+            ? Math.max(0, 1 - FaceTracker.meanDistance(track.shape, shape) / 0.25)
+            : iou;
+        
+        let score = this.options.iouWeight * iou + this.options.shapeWeight * shapeSimilarity;
+        
+        if (hasDescriptors) {
+            const distance = FaceTracker.euclideanDistance(track.descriptor, detection.descriptor);
+            const descriptorSimilarity = Math.max(0, 1 - distance / 0.6);
+            score = (1 - this.options.descriptorWeight) * score +
+                this.options.descriptorWeight * descriptorSimilarity;
+        }
+        
+        return score;
+    }
+
+    /**
+     * Tracks currently matched to a detection
+     */
+    getActiveTracks() {
+        return Array.from(this.tracks.values()).filter(track => track.visible);
+    }
+
+    /**
+     * Every track held, including those in the grace period
+     */
+    getTracks() {
+        return Array.from(this.tracks.values());
+    }
+
+    getTrack(id) {
+        return this.tracks.get(id) || null;
+    }
+
+    getHistory(id) {
+        const track = this.tracks.get(id);
+        return track ? track.history : [];
+    }
+
+    /**
+     * Forget all tracks (e.g. when the camera stops)
+     */
+    reset() {
+        const exited = Array.from(this.tracks.values());
+        this.tracks.clear();
+        return exited;
+    }
+
+    /**
+     * Landmark positions relative to the face box, so shapes compare across positions
+     */
+    static normalizeShape(detection) {
+        if (!detection.landmarks) return null;
+        
+        const { x, y, width, height } = detection.detection.box;
+        return detection.landmarks.positions.map(point => ({
+            x: (point.x - x) / width,
+            y: (point.y - y) / height
+        }));
+    }
+
+    static meanDistance(a, b) {
+        const count = Math.min(a.length, b.length);
+        if (count === 0) return Infinity;
+        
+        let total = 0;
+        for (let i = 0; i < count; i++) {
+            total += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+        }
+        return total / count;
+    }
+
+    static euclideanDistance(a, b) {
+        let total = 0;
+        for (let i = 0; i < a.length; i++) {
+            total += (a[i] - b[i]) ** 2;
+        }
+        return Math.sqrt(total);
+    }
+
+    static iou(a, b) {
+        if (!a || !b) return 0;
+        
+        const left = Math.max(a.x, b.x);
+        const top = Math.max(a.y, b.y);
+        const right = Math.min(a.x + a.width, b.x + b.width);
+        const bottom = Math.min(a.y + a.height, b.y + b.height);
+        
+        const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+}
+
+/**
+ * Persistent gallery of enrolled people
+ *
+ * Each entry holds a name and one or more 128-value face descriptors from
+ * FaceRecognitionNet. Entries live in IndexedDB and never leave the browser.
+ */
+class FaceGallery {
+    constructor(dbName = 'facemoji', storeName = 'gallery') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     */
+    async open() {
+        if (this.db) return this.db;
+        
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    /**
+     * Run a single request against the gallery store
+     */
+    async request(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    add(name, descriptors) {
+        return this.request('readwrite', store => store.add({
+            name,
+            descriptors: descriptors.map(descriptor => Array.from(descriptor)),
+            createdAt: Date.now()
+        }));
+    }
+
+    /**
+     * Merge `changes` into a stored person, e.g. an emotion baseline
+     */
+    async update(id, changes) {
+        const person = await this.request('readonly', store => store.get(id));
+        if (!person) return;
+        await this.request('readwrite', store => store.put({ ...person, ...changes }));
+    }
+
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Settings persistence
+ *
+ * Saves settings to localStorage in a versioned envelope (the same format is
+ * used for export files), migrates older envelopes on load and validates every
+ * value against SETTINGS_SCHEMA, clamping numbers and dropping anything unknown.
+ */
+class SettingsStore {
+    constructor(schema = SETTINGS_SCHEMA, storageKey = 'facemoji-settings') {
+        this.schema = schema;
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Stored settings, or an empty object when nothing usable was saved
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return { settings: {}, adjusted: [] };
+        }
+        
+        return stored ? this.parse(stored) : { settings: {}, adjusted: [] };
+    }
+
+    save(settings) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.serialize(settings)));
+            return true;
+        } catch (error) {
+            // Storage may be disabled (e.g. private browsing)
+            return false;
+        }
+    }
+
+    serialize(settings) {
+        const values = {};
+        Object.keys(this.schema).forEach(key => {
+            values[key] = settings[key];
+        });
+        
+        return {
+            format: 'facemoji-settings',
+            version: SETTINGS_VERSION,
+            savedAt: Date.now(),
+            settings: values
+        };
+    }
+
+    /**
+     * Parse a stored or exported settings file; throws on malformed JSON or
+     * data from a newer version. `base` is what the result is merged over.
+     */
+    parse(text, base = {}) {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object') {
+            throw new Error('Settings must be a JSON object');
+        }
+        
+        return this.validate(this.migrate(data), base);
+    }
+
+    migrate(data) {
+        let version = typeof data.version === 'number' ? data.version : 0;
+        if (version > SETTINGS_VERSION) {
+            throw new Error(`Settings were saved by a newer version (${version})`);
+        }
+        
+        let migrated = data;
+        while (version < SETTINGS_VERSION) {
+            migrated = SETTINGS_MIGRATIONS[version](migrated);
+            version++;
+        }
+        return migrated.settings || {};
+    }
+
+    /**
+     * Keep known keys with usable values; `adjusted` lists keys that were
+     * clamped or dropped. Values missing from `raw` are checked against `base`,
+     * the settings `raw` will be merged over.
+     */
+    validate(raw, base = {}) {
+        const settings = {};
+        const adjusted = [];
+        
+        Object.entries(raw).forEach(([key, value]) => {
+            const rule = this.schema[key];
+            if (!rule) return;
+            
+            const result = SettingsStore.coerce(value, rule);
+            if (result === undefined) {
+                adjusted.push(key);
+                return;
+            }
+            // Query strings give every value as a string, which is not an adjustment;
+            // lists such as rules are compared by content
+            const unchanged = Array.isArray(result)
+                ? JSON.stringify(result) === JSON.stringify(typeof value === 'string' ? JSON.parse(value) : value)
+                : String(result) === String(value);
+            if (!unchanged) {
+                adjusted.push(key);
+            }
+            settings[key] = result;
+        });
+        
+        // The exit threshold only makes sense at or below the enter threshold
+        const enterThreshold = settings.emotionEnterThreshold !== undefined
+            ? settings.emotionEnterThreshold
+            : base.emotionEnterThreshold;
+        if (enterThreshold !== undefined && settings.emotionExitThreshold > enterThreshold) {
+            settings.emotionExitThreshold = enterThreshold;
+            adjusted.push('emotionExitThreshold');
+        }
+        
+        return { settings, adjusted };
+    }
+
+    /**
+     * Settings given as query parameters, e.g. `?detector=ssdMobilenetv1&maxFaces=3`;
+     * settings the schema keeps out of URL presets are listed in `adjusted`
+     */
+    parseQuery(search) {
+        const params = new URLSearchParams(search);
+        const raw = {};
+        const ignored = [];
+        params.forEach((value, key) => {
+            if (!this.schema[key]) return;
+            if (this.schema[key].urlPreset === false) {
+                ignored.push(key);
+                return;
+            }
+            raw[key] = value;
+        });
+        
+        const { settings, adjusted } = this.validate(raw);
+        return { settings, adjusted: [...adjusted, ...ignored] };
+    }
+
+    /**
+     * Convert a value to the rule's type; undefined when it cannot be used.
+     * Strings are accepted for every type so query parameters validate too.
+     */
+    static coerce(value, rule) {
+        switch (rule.type) {
+            case 'number':
+            case 'integer': {
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+                const clamped = Math.min(rule.max, Math.max(rule.min, number));
+                return rule.type === 'integer' ? Math.round(clamped) : clamped;
+            }
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === 'true' || value === '1') return true;
+                if (value === 'false' || value === '0') return false;
+                return undefined;
+            case 'enum':
+                return rule.values.find(option => String(option) === String(value));
+            case 'string':
+                if (value === null && rule.nullable) return null;
+                return typeof value === 'string' ? value : undefined;
+            case 'rules':
+                return RulesEngine.sanitize(value);
+            default:
+                return undefined;
+        }
+    }
+}
+
+/**
+ * Session recorder
+ *
+ * Collects timestamped per-face expression samples while recording so the
+ * session can be charted and exported as CSV or JSON. Samples are throttled
+ * to `sampleInterval` ms to keep long sessions small.
+ */
+class SessionRecorder {
+    constructor(options = {}) {
+        this.options = {
+            sampleInterval: 100,
+            ...options
+        };
+        this.emotions = EMOTIONS.slice();
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.isRecording = false;
+        this.startedAt = null;
+        this.endedAt = null;
+        this.startTime = 0;
+        this.lastSampleTime = -Infinity;
+    }
+
+    start() {
+        this.reset();
+        this.isRecording = true;
+        this.startedAt = Date.now();
+        this.startTime = performance.now();
+    }
+
+    stop() {
+        this.isRecording = false;
+        this.endedAt = Date.now();
+    }
+
+    /**
+     * Add a sample of the faces in the current frame.
+     * Each face is `{ trackId, label, confidence, expressions }`.
+     */
+    record(faces, timestamp = performance.now()) {
+        if (!this.isRecording || timestamp - this.lastSampleTime < this.options.sampleInterval) {
+            return false;
+        }
+        this.lastSampleTime = timestamp;
+        
+        const round = value => Math.round((value || 0) * 10000) / 10000;
+        
+        this.samples.push({
+            t: Math.round(timestamp - this.startTime),
+            faceCount: faces.length,
+            faces: faces.map(face => ({
+                trackId: face.trackId,
+                label: face.label,
+                confidence: round(face.confidence),
+                expressions: face.expressions
+                    ? Object.fromEntries(this.emotions.map(emotion => [emotion, round(face.expressions[emotion])]))
+                    : null
+            }))
+        });
+        return true;
+    }
+
+    /**
+     * Session length in ms
+     */
+    getDuration() {
+        if (this.isRecording) {
+            return performance.now() - this.startTime;
+        }
+        return this.samples.length > 0 ? this.samples[this.samples.length - 1].t : 0;
+    }
+
+    /**
+     * Expressions averaged across faces for each sample (zero when no faces)
+     */
+    getAverageSeries() {
+        return this.samples.map(sample => {
+            const values = Object.fromEntries(this.emotions.map(emotion => [emotion, 0]));
+            const facesWithExpressions = sample.faces.filter(face => face.expressions);
+            
+            facesWithExpressions.forEach(face => {
+                this.emotions.forEach(emotion => {
+                    values[emotion] += face.expressions[emotion] / facesWithExpressions.length;
+                });
+            });
+            
+            return { t: sample.t, values };
+        });
+    }
+
+    /**
+     * JSON export (see "Session Export Format" in README.md)
+     */
+    toJSON() {
+        return {
+            format: 'facemoji-session',
+            version: 1,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null,
+            sampleInterval: this.options.sampleInterval,
+            emotions: this.emotions,
+            samples: this.samples
+        };
+    }
+
+    /**
+     * CSV export with one row per face per sample
+     */
+    toCSV() {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const header = ['timestamp_ms', 'time_iso', 'face_count', 'track_id', 'label', 'confidence', ...this.emotions];
+        const rows = [header.join(',')];
+        
+        this.samples.forEach(sample => {
+            const time = new Date(this.startedAt + sample.t).toISOString();
+            const faces = sample.faces.length > 0 ? sample.faces : [null];
+            
+            faces.forEach(face => {
+                const row = [sample.t, time, sample.faceCount];
+                if (face) {
+                    row.push(face.trackId, face.label, face.confidence,
+                        ...this.emotions.map(emotion => face.expressions ? face.expressions[emotion] : ''));
+                } else {
+                    row.push('', '', '', ...this.emotions.map(() => ''));
+                }
+                rows.push(row.map(escape).join(','));
+            });
+        });
+        
+        return rows.join('\n');
+    }
+}
+
+/**
+ * Session statistics
+ *
+ * Running totals for the session dashboard. Unlike SessionRecorder, which
+ * keeps every sample while recording, this only adds up time: how long faces
+ * were in view, how many there were, and how long each face spent on each
+ * emotion. It runs whenever detection runs, so a report covers the whole
+ * visit. Gaps while detection was paused count as one second at most.
+ */
+class SessionStats {
     constructor() {
-        // Application state
-        this.isModelLoaded = false;
-        this.isCameraActive = false;
-        this.isDetectionRunning = false;
-        this.currentStream = null;
-        this.detectionInterval = null;
-        this.lastFrameTime = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.startedAt = Date.now();
+        this.lastTime = null;
+        this.duration = 0;          // ms of detection
+        this.faceTime = 0;          // ms with at least one face in view
+        this.faceCountTime = 0;     // Face count times ms, for the average
+        this.peakFaces = 0;
+        this.dominantTimes = {};    // ms per overall dominant emotion
+        this.faces = new Map();     // Totals per tracked face
+    }
+
+    /**
+     * Add an analyzed frame. Faces are `{ track, label, expressions, dominant }`,
+     * where `track` is any object that stays the same while the face is tracked
+     * (track IDs start over when the source changes).
+     */
+    update(faces, dominant, timestamp = performance.now()) {
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, Math.min(timestamp - this.lastTime, 1000));
+        this.lastTime = timestamp;
+        
+        this.duration += elapsed;
+        this.faceCountTime += faces.length * elapsed;
+        this.peakFaces = Math.max(this.peakFaces, faces.length);
+        if (faces.length > 0) {
+            this.faceTime += elapsed;
+        }
+        if (dominant) {
+            this.dominantTimes[dominant] = (this.dominantTimes[dominant] || 0) + elapsed;
+        }
+        
+        faces.forEach(face => {
+            let entry = this.faces.get(face.track);
+            if (!entry) {
+                entry = { label: face.label, timeInFrame: 0, emotionTimes: {}, dominantTimes: {} };
+                this.faces.set(face.track, entry);
+            }
+            // Names can arrive a few frames after the face
+            entry.label = face.label;
+            entry.timeInFrame += elapsed;
+            if (face.expressions) {
+                EMOTIONS.forEach(emotion => {
+                    entry.emotionTimes[emotion] = (entry.emotionTimes[emotion] || 0) + (face.expressions[emotion] || 0) * elapsed;
+                });
+            }
+            if (face.dominant) {
+                entry.dominantTimes[face.dominant] = (entry.dominantTimes[face.dominant] || 0) + elapsed;
+            }
+        });
+    }
+
+    /**
+     * Totals for the dashboard; faces are sorted by time in frame, longest first
+     */
+    summarize() {
+        const faces = Array.from(this.faces.values())
+            .filter(entry => entry.timeInFrame > 0)
+            .map(entry => ({
+                label: entry.label,
+                timeInFrame: entry.timeInFrame,
+                distribution: SessionStats.shares(entry.emotionTimes),
+                dominant: SessionStats.mostFrequent(entry.dominantTimes)
+            }))
+            .sort((a, b) => b.timeInFrame - a.timeInFrame);
+        
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            duration: this.duration,
+            faceTime: this.faceTime,
+            peakFaces: this.peakFaces,
+            averageFaces: this.duration > 0 ? this.faceCountTime / this.duration : 0,
+            dominantEmotion: SessionStats.mostFrequent(this.dominantTimes),
+            emotionDistribution: SessionStats.shares(this.dominantTimes),
+            faces,
+            histogram: TIME_IN_FRAME_BUCKETS.map(bucket => ({
+                label: bucket.label,
+                count: faces.filter(face => face.timeInFrame >= bucket.min && face.timeInFrame < bucket.max).length
+            }))
+        };
+    }
+
+    /**
+     * Self-contained HTML report: inline styles and no scripts or external
+     * files, so it can be saved, mailed or printed to PDF as is
+     */
+    toHTML() {
+        const summary = this.summarize();
+        const percent = value => `${Math.round(value * 100)}%`;
+        const describe = emotion => (emotion ? `${EMOTION_EMOJIS[emotion]} ${emotion}` : '—');
+        const duration = SessionStats.formatDuration;
+        
+        const cards = [
+            ['Detection time', duration(summary.duration)],
+            ['Time with faces', `${duration(summary.faceTime)} (${percent(summary.duration > 0 ? summary.faceTime / summary.duration : 0)})`],
+            ['Peak faces', summary.peakFaces],
+            ['Average faces', summary.averageFaces.toFixed(1)],
+            ['Faces tracked', summary.faces.length],
+            ['Most frequent emotion', describe(summary.dominantEmotion)]
+        ].map(([label, value]) => `<div class="card"><span>${label}</span><strong>${value}</strong></div>`).join('');
+        
+        const emotionRows = EMOTIONS.map(emotion => {
+            const share = summary.emotionDistribution[emotion];
+            return `<div class="bar-row"><span>${describe(emotion)}</span>`
+                + `<div class="bar"><div style="width: ${percent(share)}; background: ${EMOTION_COLORS[emotion]}"></div></div>`
+                + `<span>${percent(share)}</span></div>`;
+        }).join('');
+        
+        const maxCount = Math.max(1, ...summary.histogram.map(bucket => bucket.count));
+        const histogram = summary.histogram.map(bucket => `<div class="column">`
+            + `<span>${bucket.count}</span><div class="column-bar" style="height: ${percent(bucket.count / maxCount)}"></div>`
+            + `<span>${escapeHTML(bucket.label)}</span></div>`).join('');
+        
+        const faceRows = summary.faces.map(face => {
+            const segments = EMOTIONS
+                .filter(emotion => face.distribution[emotion] >= 0.005)
+                .map(emotion => `<div title="${emotion} ${percent(face.distribution[emotion])}" style="width: ${(face.distribution[emotion] * 100).toFixed(1)}%; background: ${EMOTION_COLORS[emotion]}"></div>`)
+                .join('');
+            return `<tr><td>${escapeHTML(face.label)}</td><td>${duration(face.timeInFrame)}</td><td>${describe(face.dominant)}</td>`
+                + `<td><div class="stack">${segments}</div></td></tr>`;
+        }).join('');
+        const legend = EMOTIONS.map(emotion => `<span><i style="background: ${EMOTION_COLORS[emotion]}"></i>${emotion}</span>`).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>FaceMoji Session Report</title>
+<style>
+body { margin: 32px; font-family: Inter, -apple-system, 'Segoe UI', sans-serif; color: #1f2937; background: #ffffff; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+h1 { margin: 0 0 4px; font-size: 24px; }
+h2 { margin: 28px 0 12px; font-size: 16px; }
+.meta, footer { color: #6b7280; font-size: 13px; }
+.cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-top: 20px; }
+.card { padding: 12px 16px; border: 1px solid #e5e7eb; border-radius: 8px; }
+.card span { display: block; color: #6b7280; font-size: 12px; }
+.card strong { font-size: 18px; text-transform: capitalize; }
+.bar-row { display: grid; grid-template-columns: 130px 1fr 48px; gap: 12px; align-items: center; margin-bottom: 6px; font-size: 13px; text-transform: capitalize; }
+.bar, .stack { display: flex; height: 12px; border-radius: 6px; background: #f3f4f6; overflow: hidden; }
+.histogram { display: flex; gap: 16px; height: 160px; align-items: flex-end; }
+.column { flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: flex-end; height: 100%; gap: 4px; font-size: 12px; }
+.column-bar { width: 100%; min-height: 2px; border-radius: 4px 4px 0 0; background: #6366f1; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+td:nth-child(3) { text-transform: capitalize; }
+td:last-child { width: 40%; }
+.legend { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 8px; font-size: 12px; text-transform: capitalize; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+footer { margin-top: 32px; }
+section { break-inside: avoid; }
+@media print { body { margin: 16px; } }
+</style>
+</head>
+<body>
+<h1>😊 FaceMoji Session Report</h1>
+<p class="meta">Session started ${escapeHTML(new Date(summary.startedAt).toLocaleString())}</p>
+<section class="cards">${cards}</section>
+<section>
+<h2>Overall dominant emotion</h2>
+${emotionRows}
+</section>
+<section>
+<h2>Time in frame</h2>
+<div class="histogram">${histogram}</div>
+</section>
+<section>
+<h2>Faces</h2>
+${summary.faces.length > 0
+        ? `<table><thead><tr><th>Face</th><th>Time in frame</th><th>Most frequent emotion</th><th>Emotion distribution</th></tr></thead><tbody>${faceRows}</tbody></table><div class="legend">${legend}</div>`
+        : '<p class="meta">No faces were tracked in this session.</p>'}
+</section>
+<footer>Generated by FaceMoji on ${escapeHTML(new Date().toLocaleString())}. The report was made in your browser; no video or images were stored.</footer>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Emotion → share of the total (zeros when there is no time yet)
+     */
+    static shares(times) {
+        const total = EMOTIONS.reduce((sum, emotion) => sum + (times[emotion] || 0), 0);
+        return Object.fromEntries(EMOTIONS.map(emotion => [emotion, total > 0 ? (times[emotion] || 0) / total : 0]));
+    }
+
+    static mostFrequent(times) {
+        return EMOTIONS.reduce((best, emotion) => ((times[emotion] || 0) > (best ? times[best] : 0) ? emotion : best), null);
+    }
+
+    /**
+     * "42 s", "3:05" or "1:02:09"
+     */
+    static formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds} s`;
+        
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds / 60) % 60;
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+}
+
+/**
+ * Records a composited canvas to WebM with MediaRecorder
+ *
+ * Every animation frame, `drawFrame(ctx)` paints the next picture onto an
+ * offscreen canvas whose captured stream is recorded; `stop()` resolves with
+ * the finished video.
+ */
+class VideoRecorder {
+    constructor(options = {}) {
+        this.options = {
+            frameRate: 30,
+            mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+            ...options
+        };
+        this.reset();
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    reset() {
+        this.isRecording = false;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.frameRequest = null;
+        this.startedAt = null;
+        this.startTime = 0;
+    }
+
+    start(width, height, drawFrame) {
+        this.reset();
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        
+        const mimeType = this.options.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(canvas.captureStream(this.options.frameRate), mimeType ? { mimeType } : {});
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        });
+        
+        const render = () => {
+            drawFrame(ctx);
+            this.frameRequest = requestAnimationFrame(render);
+        };
+        render();
+        
+        // Regular timeslices keep memory flat and lose little if the tab dies
+        this.mediaRecorder.start(1000);
+        this.isRecording = true;
+        this.startedAt = Date.now();
+        this.startTime = performance.now();
+    }
+
+    /**
+     * Stop recording; resolves with the WebM blob
+     */
+    stop() {
+        if (!this.isRecording) return Promise.resolve(null);
+        
+        this.isRecording = false;
+        cancelAnimationFrame(this.frameRequest);
+        
+        const mediaRecorder = this.mediaRecorder;
+        return new Promise((resolve) => {
+            mediaRecorder.addEventListener('stop', () => {
+                mediaRecorder.stream.getTracks().forEach(track => track.stop());
+                resolve(new Blob(this.chunks, { type: mediaRecorder.mimeType || 'video/webm' }));
+            }, { once: true });
+            mediaRecorder.stop();
+        });
+    }
+
+    getElapsed() {
+        return this.isRecording ? performance.now() - this.startTime : 0;
+    }
+}
+
+/**
+ * Temporal smoothing for expression scores
+ *
+ * Smooths each face's expression vector (EMA or sliding window) and applies
+ * hysteresis to the dominant emotion: a new emotion must stay above the enter
+ * threshold for the dwell time before it takes over, and the current one is
+ * kept until it falls below the lower exit threshold.
+ */
+class EmotionSmoother {
+    constructor(options = {}) {
+        this.options = {
+            method: 'ema',          // 'none', 'ema' or 'window'
+            alpha: 0.3,             // EMA weight of the newest sample
+            windowSize: 10,         // Samples averaged by the sliding window
+            dwellTime: 500,         // ms a new emotion must persist before switching
+            enterThreshold: 0.3,    // Score needed to become dominant
+            exitThreshold: 0.2,     // Score below which the dominant emotion is dropped
+            ...options
+        };
+        this.states = new Map();
+    }
+
+    configure(options) {
+        Object.assign(this.options, options);
+    }
+
+    /**
+     * Smooth one sample for `key` (a track ID, or any shared key for aggregates)
+     */
+    update(key, expressions, timestamp = performance.now()) {
+        let state = this.states.get(key);
+        if (!state) {
+            state = { values: null, window: [], dominant: null, pending: null };
+            this.states.set(key, state);
+        }
+        
+        state.values = this.smooth(state, expressions);
+        state.dominant = this.resolveDominant(state, timestamp);
+        
+        return { values: state.values, dominant: state.dominant };
+    }
+
+    smooth(state, expressions) {
+        const raw = Object.fromEntries(EMOTIONS.map(emotion => [emotion, expressions[emotion] || 0]));
+        const { method, alpha, windowSize } = this.options;
+        
+        if (method === 'window') {
+            state.window.push(raw);
+            while (state.window.length > windowSize) {
+                state.window.shift();
+            }
+            return Object.fromEntries(EMOTIONS.map(emotion => [
+                emotion,
+                state.window.reduce((sum, sample) => sum + sample[emotion], 0) / state.window.length
+            ]));
+        }
+        
+        state.window = [];
+        if (method === 'ema' && state.values) {
+            return Object.fromEntries(EMOTIONS.map(emotion => [
+                emotion,
+                alpha * raw[emotion] + (1 - alpha) * state.values[emotion]
+            ]));
+        }
+        
+        return raw;
+    }
+
+    resolveDominant(state, timestamp) {
+        const { values, dominant } = state;
+        const { enterThreshold, exitThreshold, dwellTime } = this.options;
+        const candidate = EMOTIONS.reduce((a, b) => values[a] >= values[b] ? a : b);
+        const currentHolds = dominant !== null && values[dominant] >= exitThreshold;
+        
+        if (candidate === dominant || values[candidate] < enterThreshold) {
+            state.pending = null;
+            return currentHolds ? dominant : null;
+        }
+        
+        // A different emotion is strong enough; switch once it has persisted
+        if (!state.pending || state.pending.emotion !== candidate) {
+            state.pending = { emotion: candidate, since: timestamp };
+        }
+        if (timestamp - state.pending.since >= dwellTime) {
+            state.pending = null;
+            return candidate;
+        }
+        
+        return currentHolds ? dominant : null;
+    }
+
+    forget(key) {
+        this.states.delete(key);
+    }
+
+    reset() {
+        this.states.clear();
+    }
+}
+
+/**
+ * Per-person emotion baselines
+ *
+ * Expression scores are relative to an average face, so someone whose resting
+ * face reads as a little sad or angry gets those scores all the time. A
+ * baseline holds the scores of the person's relaxed face (`rest`) and,
+ * optionally, of a prompted smile and surprise (`peaks`). Calibrated scores
+ * count only what rises above the resting face, stretched so the prompted
+ * expression reaches 1.
+ */
+class EmotionCalibration {
+    /**
+     * Baseline from the captured samples, `{ neutral: [...], happy: [...], surprised: [...] }`
+     */
+    static build(samples) {
+        const peaks = {};
+        ['happy', 'surprised'].forEach(emotion => {
+            if (samples[emotion] && samples[emotion].length > 0) {
+                peaks[emotion] = EmotionCalibration.average(samples[emotion])[emotion];
+            }
+        });
+        
+        return {
+            rest: EmotionCalibration.average(samples.neutral),
+            peaks,
+            createdAt: Date.now()
+        };
+    }
+
+    static average(samples) {
+        return Object.fromEntries(EMOTIONS.map(emotion => [
+            emotion,
+            samples.reduce((sum, expressions) => sum + (expressions[emotion] || 0), 0) / samples.length
+        ]));
+    }
+
+    /**
+     * Rescale an expression vector against a baseline; the result sums to 1
+     */
+    static apply(expressions, baseline) {
+        const calibrated = {};
+        let expressive = 0;
+        
+        EMOTIONS.forEach(emotion => {
+            if (emotion === 'neutral') return;
+            
+            const rest = baseline.rest[emotion] || 0;
+            // A prompted expression sets the top of the range when it clearly beat the resting face
+            const peak = baseline.peaks[emotion];
+            const top = peak !== undefined && peak - rest >= 0.1 ? peak : 1;
+            const value = ((expressions[emotion] || 0) - rest) / Math.max(top - rest, 0.05);
+            calibrated[emotion] = Math.min(1, Math.max(0, value));
+            expressive += calibrated[emotion];
+        });
+        // Whatever the resting face used to read as goes back to neutral
+        calibrated.neutral = Math.max(expressions.neutral || 0, 1 - expressive, 0);
+        
+        const total = EMOTIONS.reduce((sum, emotion) => sum + calibrated[emotion], 0);
+        return Object.fromEntries(EMOTIONS.map(emotion => [emotion, total > 0 ? calibrated[emotion] / total : 0]));
+    }
+}
+
+/**
+ * Blinks, drowsiness and yawns from the eye and mouth landmarks
+ *
+ * Keeps per-face state, keyed like EmotionSmoother. The eye aspect ratio (EAR)
+ * drops towards zero as the eyes close and the mouth aspect ratio (MAR) rises as
+ * the mouth opens. A short eye closure is a blink and a long one a drowsiness
+ * alert; a mouth held open is a yawn.
+ */
+class BehaviorMonitor {
+    constructor(options = {}) {
+        this.options = {
+            eyeClosedThreshold: 0.2,    // EAR below which the eyes count as closed
+            maxBlinkDuration: 500,      // ms; longer closures are not blinks
+            drowsinessTime: 1500,       // ms of closed eyes before a drowsiness alert
+            mouthOpenThreshold: 0.5,    // MAR above which the mouth counts as open
+            yawnTime: 1500,             // ms the mouth must stay open for a yawn
+            blinkRateWindow: 60000,     // ms of blinks the rate is measured over
+            minRateTime: 10000,         // ms of observation before a rate is reported
+            ...options
+        };
+        this.states = new Map();
+    }
+
+    configure(options) {
+        Object.assign(this.options, options);
+    }
+
+    /**
+     * Feed one frame's landmarks for `key`. Returns the face's current state and
+     * the events the frame completed: 'blink', 'drowsiness', 'mouthopen', 'yawn'.
+     */
+    update(key, positions, timestamp = performance.now()) {
+        let state = this.states.get(key);
+        if (!state) {
+            state = {
+                firstSeen: timestamp,
+                eyesClosedSince: null,
+                mouthOpenSince: null,
+                isDrowsy: false,
+                isYawning: false,
+                blinks: 0,
+                blinkTimes: [],
+                yawns: 0,
+                ear: 0,
+                mar: 0
+            };
+            this.states.set(key, state);
+        }
+        
+        const events = [];
+        state.ear = (BehaviorMonitor.eyeAspectRatio(positions, 36) + BehaviorMonitor.eyeAspectRatio(positions, 42)) / 2;
+        state.mar = BehaviorMonitor.mouthAspectRatio(positions);
+        
+        if (state.ear < this.options.eyeClosedThreshold) {
+            if (state.eyesClosedSince === null) state.eyesClosedSince = timestamp;
+            const closedFor = timestamp - state.eyesClosedSince;
+            if (!state.isDrowsy && closedFor >= this.options.drowsinessTime) {
+                state.isDrowsy = true;
+                events.push({ type: 'drowsiness', duration: closedFor });
+            }
+        } else if (state.eyesClosedSince !== null) {
+            const closedFor = timestamp - state.eyesClosedSince;
+            if (closedFor <= this.options.maxBlinkDuration) {
+                state.blinks++;
+                state.blinkTimes.push(timestamp);
+                events.push({ type: 'blink', duration: closedFor });
+            }
+            state.eyesClosedSince = null;
+            state.isDrowsy = false;
+        }
+        
+        if (state.mar > this.options.mouthOpenThreshold) {
+            if (state.mouthOpenSince === null) {
+                state.mouthOpenSince = timestamp;
+                events.push({ type: 'mouthopen', duration: 0 });
+            }
+            const openFor = timestamp - state.mouthOpenSince;
+            if (!state.isYawning && openFor >= this.options.yawnTime) {
+                state.isYawning = true;
+                state.yawns++;
+                events.push({ type: 'yawn', duration: openFor });
+            }
+        } else {
+            state.mouthOpenSince = null;
+            state.isYawning = false;
+        }
+        
+        const windowStart = timestamp - this.options.blinkRateWindow;
+        state.blinkTimes = state.blinkTimes.filter(time => time > windowStart);
+        
+        return { state: this.describe(state, timestamp), events };
+    }
+
+    /**
+     * Plain summary of a face's state
+     */
+    describe(state, timestamp) {
+        // Rates over a few seconds are mostly noise
+        const observed = Math.min(timestamp - state.firstSeen, this.options.blinkRateWindow);
+        return {
+            ear: state.ear,
+            mar: state.mar,
+            eyesClosed: state.eyesClosedSince !== null,
+            mouthOpen: state.mouthOpenSince !== null,
+            drowsy: state.isDrowsy,
+            blinks: state.blinks,
+            blinkRate: observed >= this.options.minRateTime ? state.blinkTimes.length * 60000 / observed : null,
+            yawns: state.yawns
+        };
+    }
+
+    forget(key) {
+        this.states.delete(key);
+    }
+
+    reset() {
+        this.states.clear();
+    }
+
+    /**
+     * EAR of the eye whose six points start at `start` (36 and 42 in the 68-point layout)
+     */
+    static eyeAspectRatio(positions, start) {
+        const [p1, p2, p3, p4, p5, p6] = positions.slice(start, start + 6);
+        const width = BehaviorMonitor.distance(p1, p4);
+        if (width === 0) return 0;
+        return (BehaviorMonitor.distance(p2, p6) + BehaviorMonitor.distance(p3, p5)) / (2 * width);
+    }
+
+    /**
+     * MAR from the inner lip contour (60-67), near zero with closed lips
+     */
+    static mouthAspectRatio(positions) {
+        const width = BehaviorMonitor.distance(positions[60], positions[64]);
+        if (width === 0) return 0;
+        const height = BehaviorMonitor.distance(positions[61], positions[67]) +
+            BehaviorMonitor.distance(positions[62], positions[66]) +
+            BehaviorMonitor.distance(positions[63], positions[65]);
+        return height / (3 * width);
+    }
+
+    static distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
+
+/**
+ * Head pose from the 68 face landmarks
+ *
+ * Fits a weak-perspective camera to six landmarks of an average 3D head (nose
+ * tip, chin, outer eye corners, mouth corners), then reads yaw, pitch and roll
+ * from the fitted rotation. Angles are in degrees: yaw > 0 is turned towards
+ * the right of the image, pitch > 0 is looking up, roll > 0 is tilted
+ * counter-clockwise on screen. Good to a few degrees near frontal, which is
+ * all the attention check needs.
+ */
+class HeadPoseEstimator {
+    /**
+     * Estimate the pose; `axes` holds the image positions of the ends of the
+     * head's x (left to right), y (up) and z (forward) axes drawn from `origin`
+     */
+    static estimate(positions, axisLength = 150) {
+        if (!positions || positions.length < 68) return null;
+        
+        // Least-squares fit of u and v as affine functions of the model point
+        const rows = HEAD_MODEL_POINTS.map(({ point }) => [...point, 1]);
+        const image = HEAD_MODEL_POINTS.map(({ index }) => positions[index]);
+        const normal = [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => rows.reduce((sum, row) => sum + row[i] * row[j], 0)));
+        const fit = axis => HeadPoseEstimator.solveLinear(normal,
+            [0, 1, 2, 3].map(i => rows.reduce((sum, row, k) => sum + row[i] * image[k][axis], 0)));
+        const u = fit('x');
+        const v = fit('y');
+        if (!u || !v) return null;
+        
+        // Rotation rows in a y-up camera frame, re-orthogonalized
+        const normalize = vector => {
+            const length = Math.hypot(...vector);
+            return vector.map(value => value / length);
+        };
+        const r0 = normalize(u.slice(0, 3));
+        let r1 = normalize(v.slice(0, 3).map(value => -value));
+        const dot = r0[0] * r1[0] + r0[1] * r1[1] + r0[2] * r1[2];
+        r1 = normalize(r1.map((value, i) => value - dot * r0[i]));
+        const r2 = [
+            r0[1] * r1[2] - r0[2] * r1[1],
+            r0[2] * r1[0] - r0[0] * r1[2],
+            r0[0] * r1[1] - r0[1] * r1[0]
+        ];
+        
+        const degrees = radians => radians * 180 / Math.PI;
+        const project = (x, y, z) => ({
+            x: u[0] * x + u[1] * y + u[2] * z + u[3],
+            y: v[0] * x + v[1] * y + v[2] * z + v[3]
+        });
+        
+        return {
+            yaw: degrees(Math.asin(Math.max(-1, Math.min(1, -r2[0])))),
+            pitch: -degrees(Math.atan2(r2[1], r2[2])),
+            roll: degrees(Math.atan2(r1[0], r0[0])),
+            origin: project(0, 0, 0),
+            axes: {
+                x: project(axisLength, 0, 0),
+                y: project(0, axisLength, 0),
+                z: project(0, 0, axisLength)
+            }
+        };
+    }
+
+    /**
+     * Whether a face is looking at the camera, within `maxAngle` degrees
+     */
+    static isAttentive(pose, maxAngle) {
+        return Boolean(pose) && Math.abs(pose.yaw) <= maxAngle && Math.abs(pose.pitch) <= maxAngle;
+    }
+
+    /**
+     * Gaussian elimination with partial pivoting; null for a singular system
+     */
+    static solveLinear(matrix, vector) {
+        const size = vector.length;
+        const rows = matrix.map((row, i) => [...row, vector[i]]);
+        
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) < 1e-9) return null;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+            
+            for (let row = 0; row < size; row++) {
+                if (row === column) continue;
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k <= size; k++) {
+                    rows[row][k] -= factor * rows[column][k];
+                }
+            }
+        }
+        return rows.map((row, i) => row[size] / row[i]);
+    }
+}
+
+/**
+ * Adaptive performance governor
+ *
+ * Watches how long each detection pass takes. When the target FPS is missed it
+ * trades quality for speed step by step (smaller detector input, then landmark
+ * and expression passes on alternate frames), and restores quality once there
+ * is headroom. Detectors without an input size (SSD) skip the input steps.
+ * When detection is faster than the target, the loop is throttled to the
+ * target to save CPU.
+ */
+class PerformanceGovernor {
+    constructor(options = {}) {
+        this.options = {
+            enabled: false,
+            targetFps: 15,
+            evaluationInterval: 1000,   // ms between strategy changes
+            resizableInput: true,       // Whether the detector takes an input size
+            ...options
+        };
+
+        this.inputSizes = [128, 160, 224, 320, 416, 512, 608];
+        this.qualityLevels = [
+            { label: 'Full quality', inputSizeSteps: 0, alternateFrames: false },
+            { label: 'Smaller input', inputSizeSteps: 1, alternateFrames: false },
+            { label: 'Smaller input', inputSizeSteps: 2, alternateFrames: false },
+            { label: 'Alternate-frame landmarks', inputSizeSteps: 2, alternateFrames: true },
+            { label: 'Minimum quality', inputSizeSteps: 4, alternateFrames: true }
+        ];
+
+        this.selectLevels();
+        this.reset();
+    }
+
+    configure(options) {
+        Object.assign(this.options, options);
+        this.selectLevels();
+        this.reset();
+    }
+
+    /**
+     * Levels that change something for the current detector; without an input
+     * size only the step to alternate-frame landmarks is left
+     */
+    selectLevels() {
+        this.levels = this.options.resizableInput
+            ? this.qualityLevels
+            : this.qualityLevels.filter((level, index, all) => index === 0 || level.alternateFrames !== all[index - 1].alternateFrames);
+    }
+
+    reset() {
+        this.level = 0;
+        this.frameIndex = 0;
+        this.samples = [];
+        this.lastEvaluation = performance.now();
+        this.averageProcessingTime = 0;
+    }
+
+    /**
+     * Record how long a detection pass took; returns ms to wait before the next one
+     */
+    recordFrame(processingTime, timestamp = performance.now()) {
+        this.frameIndex++;
+        if (!this.options.enabled) return 0;
+
+        this.samples.push(processingTime);
+        if (timestamp - this.lastEvaluation >= this.options.evaluationInterval) {
+            this.evaluate(timestamp);
+        }
+
+        const frameBudget = 1000 / this.options.targetFps;
+        return Math.max(0, frameBudget - processingTime);
+    }
+
+    evaluate(timestamp) {
+        this.averageProcessingTime = this.samples.reduce((sum, time) => sum + time, 0) / this.samples.length;
+        this.samples = [];
+        this.lastEvaluation = timestamp;
+
+        const achievableFps = 1000 / this.averageProcessingTime;
+        const target = this.options.targetFps;
+
+        if (achievableFps < target * 0.9 && this.level < this.levels.length - 1) {
+            this.level++;
+        } else if (achievableFps > target * 1.5 && this.level > 0) {
+            // Generous headroom before restoring quality avoids flip-flopping
+            this.level--;
+        }
+    }
+
+    /**
+     * TinyFaceDetector input size after the current reduction
+     */
+    getInputSize(baseSize) {
+        if (!this.options.enabled) return baseSize;
+
+        const baseIndex = this.inputSizes.indexOf(baseSize);
+        if (baseIndex === -1) return baseSize;
+        return this.inputSizes[Math.max(0, baseIndex - this.levels[this.level].inputSizeSteps)];
+    }
+
+    /**
+     * Whether this frame should run the detector only and reuse landmarks/expressions
+     */
+    shouldSkipFacePasses() {
+        return this.options.enabled && this.levels[this.level].alternateFrames && this.frameIndex % 2 === 1;
+    }
+
+    getStrategy() {
+        return this.options.enabled ? this.levels[this.level].label : 'Off';
+    }
+}
+
+/**
+ * Main-thread side of detection-worker.js
+ *
+ * Sends frames to the worker as transferred ImageBitmaps and resolves with the
+ * worker's serialized detections. While a frame is in flight, further frames are
+ * dropped (resolved with null) instead of queued, so results never lag behind.
+ */
+class DetectionWorkerClient {
+    constructor(url = 'detection-worker.js') {
+        this.worker = new Worker(url);
+        this.pending = new Map();
+        this.nextId = 1;
+        this.isBusy = false;
+        this.droppedFrames = 0;
+        this.loadedNets = new Set();
+        this.onerror = null;
+        
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        this.worker.addEventListener('error', (event) => this.fail(new Error(event.message || 'Detection worker crashed')));
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Load face-api.js and the given networks inside the worker
+     */
+    async init(modelPath, nets = []) {
+        // Model paths are resolved against the page, not the worker script
+        const absolutePath = new URL(modelPath, location.href).href;
+        await this.request({ type: 'init', modelPath: absolutePath, nets });
+        nets.forEach(net => this.loadedNets.add(net));
+    }
+
+    async loadModel(net) {
+        await this.request({ type: 'loadModel', net });
+        this.loadedNets.add(net);
+    }
+
+    /**
+     * Detect faces in the current frame of a video or image element;
+     * resolves with null when the frame was dropped
+     */
+    async detect(source, options) {
+        if (this.isBusy) {
+            this.droppedFrames++;
+            return null;
+        }
+        
+        this.isBusy = true;
+        try {
+            const bitmap = await createImageBitmap(source);
+            const result = await this.request({ type: 'detect', bitmap, options }, [bitmap]);
+            if (result.dropped) {
+                this.droppedFrames++;
+                return null;
+            }
+            return result.detections;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    request(message, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, ...message }, transfer);
+        });
+    }
+
+    handleMessage({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Reject everything in flight after the worker itself has failed
+     */
+    fail(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+        if (this.onerror) this.onerror(error);
+    }
+
+    terminate() {
+        this.onerror = null;
+        this.worker.terminate();
+        this.fail(new Error('Detection worker stopped'));
+    }
+}
+
+/**
+ * Cameras shown side by side in grid view
+ *
+ * Detection visits one camera per frame in turn. Each camera keeps its own
+ * tracker, so face IDs never jump between views, and its latest detections so
+ * the combined readings can be built from every camera.
+ */
+class CameraGrid {
+    constructor() {
+        this.cameras = [];
+        this.nextIndex = 0;
+    }
+
+    /**
+     * Register an opened camera; `video`, `canvas` and `caption` are its tile's elements
+     */
+    add(deviceId, label, stream, elements) {
+        const camera = {
+            deviceId,
+            label,
+            stream,
+            ...elements,
+            tracker: new FaceTracker(),
+            detections: [],
+            privacyDetections: [],  // Every face found, not only maxFaces, for privacy masks
+            detectedAt: 0,
+            emotion: null
+        };
+        this.cameras.push(camera);
+        return camera;
+    }
+
+    /**
+     * Next camera with a frame ready, in round-robin order
+     */
+    next() {
+        for (let i = 0; i < this.cameras.length; i++) {
+            const camera = this.cameras[this.nextIndex];
+            this.nextIndex = (this.nextIndex + 1) % this.cameras.length;
+            if (camera.video.readyState >= 2) return camera;
+        }
+        return null;
+    }
+
+    /**
+     * Latest faces from every camera
+     */
+    getAllDetections() {
+        return this.cameras.flatMap(camera => camera.detections);
+    }
+
+    /**
+     * Per-camera face counts and dominant emotions, plus the total face count
+     */
+    summarize() {
+        const cameras = this.cameras.map(camera => ({
+            deviceId: camera.deviceId,
+            label: camera.label,
+            faceCount: camera.detections.length,
+            emotion: camera.emotion ? camera.emotion.dominant : null
+        }));
+        return {
+            cameras,
+            faceCount: cameras.reduce((sum, camera) => sum + camera.faceCount, 0)
+        };
+    }
+
+    /**
+     * Stop every stream and forget the cameras
+     */
+    stop() {
+        this.cameras.forEach(camera => {
+            camera.stream.getTracks().forEach(track => track.stop());
+            camera.video.srcObject = null;
+        });
+        this.cameras = [];
+        this.nextIndex = 0;
+    }
+}
+
+/**
+ * Rules engine
+ *
+ * Evaluates user rules such as "any face is happy > 0.8 for 2 s" or "face
+ * count = 0 for 10 s" against each analyzed frame. A rule fires once when its
+ * condition has held for its duration, and fires again only after the
+ * condition has stopped holding.
+ */
+class RulesEngine {
+    constructor() {
+        this.states = new Map();
+    }
+
+    /**
+     * Check every rule against a frame's `{ faceCount, faces }`, where each face
+     * has `expressions`; returns the rules that fired
+     */
+    evaluate(rules, frame, timestamp = performance.now()) {
+        const fired = [];
+        
+        rules.forEach(rule => {
+            if (!rule.enabled || !RulesEngine.matches(rule, frame)) {
+                this.states.delete(rule.id);
+                return;
+            }
+            
+            let state = this.states.get(rule.id);
+            if (!state) {
+                state = { since: timestamp, fired: false };
+                this.states.set(rule.id, state);
+            }
+            if (!state.fired && timestamp - state.since >= rule.duration * 1000) {
+                state.fired = true;
+                fired.push(rule);
+            }
+        });
+        
+        return fired;
+    }
+
+    /**
+     * Restart a rule's timer, e.g. after it was edited
+     */
+    forget(ruleId) {
+        this.states.delete(ruleId);
+    }
+
+    reset() {
+        this.states.clear();
+    }
+
+    static matches(rule, frame) {
+        if (rule.trigger === 'faceCount') {
+            return RulesEngine.compare(frame.faceCount, rule.operator, rule.value);
+        }
+        return frame.faces.some(face => face.expressions
+            && RulesEngine.compare(face.expressions[rule.emotion] || 0, rule.operator, rule.value));
+    }
+
+    static compare(actual, operator, value) {
+        if (operator === '<') return actual < value;
+        if (operator === '=') return actual === value;
+        return actual > value;
+    }
+
+    /**
+     * Usable copies of stored rules; undefined when `rules` is not a list.
+     * Query strings give the list as JSON.
+     */
+    static sanitize(rules) {
+        let list = rules;
+        if (typeof list === 'string') {
+            try {
+                list = JSON.parse(list);
+            } catch (error) {
+                return undefined;
+            }
+        }
+        if (!Array.isArray(list)) return undefined;
+        
+        return list.slice(0, MAX_RULES).map(rule => RulesEngine.sanitizeRule(rule)).filter(Boolean);
+    }
+
+    /**
+     * Fill in defaults and clamp a single rule; null when it cannot be used
+     */
+    static sanitizeRule(rule) {
+        if (!rule || typeof rule !== 'object') return null;
+        if (!['emotion', 'faceCount'].includes(rule.trigger) || !RULE_ACTIONS[rule.action]) return null;
+        
+        const number = (value, min, max, fallback) => {
+            const parsed = Number(value);
+            return value !== '' && value !== null && Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+        const isEmotion = rule.trigger === 'emotion';
+        // Emotion scores are continuous, so only face counts can be compared for equality
+        const operators = isEmotion ? ['>', '<'] : ['>', '<', '='];
+        
+        return {
+            id: typeof rule.id === 'string' && rule.id ? rule.id : RulesEngine.createId(),
+            enabled: rule.enabled !== false,
+            trigger: rule.trigger,
+            emotion: EMOTIONS.includes(rule.emotion) ? rule.emotion : 'happy',
+            operator: operators.includes(rule.operator) ? rule.operator : (isEmotion ? '>' : '='),
+            value: isEmotion ? number(rule.value, 0, 1, 0.8) : Math.round(number(rule.value, 0, 10, 0)),
+            duration: number(rule.duration, 0, 600, 2),
+            action: rule.action,
+            message: typeof rule.message === 'string' ? rule.message.slice(0, 200) : '',
+            url: typeof rule.url === 'string' ? rule.url.trim() : ''
+        };
+    }
+
+    static createId() {
+        return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Readable form, e.g. "Any face happy > 0.8 for 2 s → Show a toast"
+     */
+    static describe(rule) {
+        const condition = rule.trigger === 'faceCount'
+            ? `Face count ${rule.operator} ${rule.value}`
+            : `Any face ${rule.emotion} ${rule.operator} ${rule.value}`;
+        return `${condition} for ${rule.duration} s → ${RULE_ACTIONS[rule.action]}`;
+    }
+
+    /**
+     * Webhooks may only reach this machine or the local network, so detection
+     * results never leave it
+     */
+    static isLocalUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+        
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        return host === 'localhost'
+            || host === '::1'
+            || host.endsWith('.local')
+            || /^127\./.test(host)
+            || /^10\./.test(host)
+            || /^192\.168\./.test(host)
+            || /^172\.(1[6-9]|2\d|3[01])\./.test(host);
+    }
+}
+
+/**
+ * Photo booth trigger
+ *
+ * Waits until every visible face has smiled at the camera for `holdTime`,
+ * then the app counts down and shoots a burst. Burst frames are ranked by
+ * smile and sharpness.
+ */
+class PhotoBooth {
+    constructor(options = {}) {
+        this.options = {
+            smileThreshold: 0.7,    // Happy score each face needs
+            holdTime: 500,          // ms everyone must keep smiling before the countdown
+            burstInterval: 250,     // ms between burst frames
+            ...options
+        };
+        this.state = 'idle';        // 'idle', 'waiting', 'countdown' or 'capturing'
+        this.readySince = null;
+    }
+
+    configure(options) {
+        Object.assign(this.options, options);
+    }
+
+    start() {
+        this.state = 'waiting';
+        this.readySince = null;
+    }
+
+    stop() {
+        this.state = 'idle';
+        this.readySince = null;
+    }
+
+    /**
+     * Faces are `{ happy, attentive }`; faces without a head pose count as facing the camera
+     */
+    isSmiling(face) {
+        return face.happy >= this.options.smileThreshold && face.attentive !== false;
+    }
+
+    /**
+     * Feed a frame's faces while waiting; true when the countdown should start
+     */
+    update(faces, timestamp = performance.now()) {
+        if (this.state !== 'waiting') return false;
+        
+        if (faces.length === 0 || !faces.every(face => this.isSmiling(face))) {
+            this.readySince = null;
+            return false;
+        }
+        if (this.readySince === null) {
+            this.readySince = timestamp;
+        }
+        if (timestamp - this.readySince < this.options.holdTime) return false;
+        
+        this.state = 'countdown';
+        return true;
+    }
+
+    /**
+     * Mean happy score over faces' expressions; 0 without faces
+     */
+    static averageSmile(expressionsList) {
+        if (expressionsList.length === 0) return 0;
+        
+        const total = expressionsList.reduce((sum, expressions) => sum + (expressions ? expressions.happy || 0 : 0), 0);
+        return total / expressionsList.length;
+    }
+
+    /**
+     * Variance of the Laplacian of the frame's brightness; blurry frames score low
+     */
+    static sharpness(imageData) {
+        const { data, width, height } = imageData;
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+        if (count === 0) return 0;
+        
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    /**
+     * Burst frames best first; the smile weighs more than sharpness, which is
+     * relative to the sharpest frame of the burst
+     */
+    static rankFrames(frames) {
+        const maxSharpness = Math.max(...frames.map(frame => frame.sharpness)) || 1;
+        return frames
+            .map(frame => ({ ...frame, score: 0.7 * frame.smile + 0.3 * frame.sharpness / maxSharpness }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Error with a code from ERROR_DETAILS
+ *
+ * `message` keeps the technical detail for logs and diagnostic reports, while
+ * `title` and `tip` are what the user is shown.
+ */
+class FaceMojiError extends Error {
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'FaceMojiError';
+        this.code = ERROR_DETAILS[code] ? code : 'unknown';
+        this.title = options.title || ERROR_DETAILS[this.code].title;
+        this.tip = options.tip !== undefined ? options.tip : ERROR_DETAILS[this.code].tip;
+        this.cause = options.cause || null;
+    }
+
+    /**
+     * Wrap any thrown value; FaceMojiErrors are returned unchanged
+     */
+    static from(error, code = 'unknown') {
+        if (error instanceof FaceMojiError) return error;
+        const message = error && error.message ? error.message : String(error);
+        return new FaceMojiError(code, message, { cause: error });
+    }
+
+    /**
+     * Classify a getUserMedia failure by its DOMException name
+     */
+    static fromCameraError(error) {
+        if (error instanceof FaceMojiError) return error;
+        
+        // Browsers hide mediaDevices entirely on insecure origins
+        const isInsecure = window.isSecureContext === false;
+        let code = 'unknown';
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            code = isInsecure ? 'insecure-context' : 'camera-unavailable';
+        } else if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+            code = isInsecure ? 'insecure-context' : 'camera-permission';
+        } else if (error.name === 'NotReadableError' || error.name === 'AbortError') {
+            code = 'camera-busy';
+        } else if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') {
+            code = 'camera-unavailable';
+        }
+        return FaceMojiError.from(error, code);
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            title: this.title,
+            message: this.message,
+            cause: this.cause ? this.cause.name || String(this.cause) : null
+        };
+    }
+}
+
+/**
+ * Self-checks and load history behind the diagnostics drawer and diagnostic.html
+ *
+ * Runs the system, network, library and camera checks, remembers which model
+ * path loadModels() settled on and how long each network took to load, and
+ * keeps the most recent errors; buildReport() puts it all into one object for
+ * bug reports.
+ */
+class Diagnostics {
+    constructor(options = {}) {
+        this.endpoints = options.endpoints || DIAGNOSTIC_ENDPOINTS;
+        this.maxErrors = options.maxErrors || 20;
+        this.reset();
+    }
+
+    reset() {
+        this.modelPath = null;
+        this.probes = [];           // { path, ok, duration, error }
+        this.modelTimings = [];     // { net, label, ok, duration, error }
+        this.errors = [];           // Most recent last
+        this.results = null;        // Outcome of the last run()
+    }
+
+    recordProbe(path, ok, duration, error = null) {
+        this.probes.push({ path, ok, duration: Math.round(duration), error });
+    }
+
+    recordModelLoad(net, label, ok, duration, error = null) {
+        this.modelTimings.push({ net, label, ok, duration: Math.round(duration), error });
+    }
+
+    recordError(context, error) {
+        const typed = FaceMojiError.from(error);
+        this.errors.push({
+            time: new Date().toISOString(),
+            context,
+            code: typed.code,
+            message: typed.message
+        });
+        if (this.errors.length > this.maxErrors) {
+            this.errors.shift();
+        }
+    }
+
+    getSystemInfo() {
+        return {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            language: navigator.language,
+            online: navigator.onLine,
+            cookieEnabled: navigator.cookieEnabled,
+            secureContext: window.isSecureContext,
+            protocol: location.protocol,
+            host: location.host,
+            url: location.href
+        };
+    }
+
+    async testNetwork() {
+        const results = [];
+        for (const endpoint of this.endpoints) {
+            const startTime = performance.now();
+            try {
+                // no-cors responses are opaque; getting one at all means the host answered
+                await fetch(endpoint.url, { method: endpoint.method, mode: 'no-cors', cache: 'no-cache' });
+                results.push({ name: endpoint.name, url: endpoint.url, ok: true, duration: Math.round(performance.now() - startTime) });
+            } catch (error) {
+                results.push({ name: endpoint.name, url: endpoint.url, ok: false, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    testLibraries() {
+        const checks = {
+            'face-api.js': () => typeof faceapi !== 'undefined',
+            'MediaDevices API': () => navigator.mediaDevices && navigator.mediaDevices.getUserMedia,
+            'Canvas 2D Context': () => document.createElement('canvas').getContext('2d'),
+            'RequestAnimationFrame': () => window.requestAnimationFrame,
+            'Fetch API': () => window.fetch,
+            'Promises': () => window.Promise,
+            'Detection Worker': () => DetectionWorkerClient.isSupported(),
+            'Video Recording': () => VideoRecorder.isSupported()
+        };
+        
+        return Object.entries(checks).map(([name, check]) => {
+            try {
+                return { name, ok: Boolean(check()) };
+            } catch (error) {
+                return { name, ok: false, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * List cameras and check access. An already open stream is inspected rather
+     * than opening a second one, which many devices refuse.
+     */
+    async testCamera(activeStream = null) {
+        const result = { devices: [], access: false, track: null, error: null };
+        try {
+            if (!navigator.mediaDevices) {
+                throw new TypeError('navigator.mediaDevices is not available');
+            }
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            result.devices = devices
+                .filter(device => device.kind === 'videoinput')
+                .map((device, index) => device.label || `Camera ${index + 1}`);
+            
+            const stream = activeStream || await navigator.mediaDevices.getUserMedia({
+                video: { width: 640, height: 480 }
+            });
+            const [track] = stream.getTracks();
+            result.access = true;
+            result.track = track && track.label ? track.label : null;
+            if (!activeStream) {
+                stream.getTracks().forEach(openTrack => openTrack.stop());
+            }
+        } catch (error) {
+            const typed = FaceMojiError.fromCameraError(error);
+            result.error = { code: typed.code, message: typed.message };
+        }
+        return result;
+    }
+
+    async run(activeStream = null) {
+        const [network, camera] = await Promise.all([
+            this.testNetwork(),
+            this.testCamera(activeStream)
+        ]);
+        this.results = {
+            ranAt: new Date().toISOString(),
+            system: this.getSystemInfo(),
+            libraries: this.testLibraries(),
+            network,
+            camera
+        };
+        return this.results;
+    }
+
+    /**
+     * Everything collected so far, plus whatever app state the caller adds
+     */
+    buildReport(app = {}) {
+        return {
+            format: 'facemoji-diagnostics',
+            generatedAt: new Date().toISOString(),
+            app,
+            models: {
+                path: this.modelPath,
+                probes: this.probes,
+                timings: this.modelTimings
+            },
+            checks: this.results,
+            errors: this.errors
+        };
+    }
+}
+
+/**
+ * FaceMoji application
+ *
+ * Options (all optional):
+ * - container: element holding the FaceMoji markup (default: document)
+ * - elements: per-key overrides of the element IDs in initDOMElements()
+ * - settings: initial settings, applied over saved ones
+ * - persistSettings: save settings to localStorage (default: true)
+ * - urlPresets: read settings from the query string (default: true)
+ * - keyboardShortcuts: handle Space/F/R/Escape on the document (default: true)
+ * - offlineCache: register the service worker (default: true)
+ *
+ * Events (CustomEvent, data in `event.detail`):
+ * - modelsloaded       { modelPath, detector, landmarkModel, worker }
+ * - facesdetected      { faces, source, timestamp } after every analyzed frame
+ * - faceenter          { trackId, label } when a new face is tracked
+ * - faceexit           { trackId, label, duration } when a face is gone for good
+ * - emotionchange      { trackId, emotion, previous } when a dominant emotion
+ *                      changes; trackId is null for the overall reading
+ * - blink              { trackId, label, duration }
+ * - drowsiness         { trackId, label, duration } once per long eye closure
+ * - mouthopen          { trackId, label, duration }
+ * - yawn               { trackId, label, duration }
+ * - gridupdate         { cameras, faceCount, emotion } after each grid view frame;
+ *                      cameras are { deviceId, label, faceCount, emotion }
+ * - rulefired          { ruleId, action, description } when a rule's condition
+ *                      has held for its duration
+ * - photobooth         { frameCount, bestScore } when a photo booth strip is ready
+ * - camerastatechange  { state, message }
+ * - error              { context, error, code } where code is a FaceMojiError
+ *                      code ('unknown' for unexpected errors)
+ */
+class FaceMojiApp extends EventTarget {
+    constructor(config = {}) {
+        super();
+        
+        this.config = {
+            container: document,
+            elements: {},
+            settings: {},
+            persistSettings: true,
+            urlPresets: true,
+            keyboardShortcuts: true,
+            offlineCache: true,
+            ...config
+        };
+        
+        // Application state
+        this.isModelLoaded = false;
+        this.isCameraActive = false;
+        this.isDetectionRunning = false;
+        this.currentStream = null;
+        this.sourceType = 'camera';     // 'camera', 'image' or 'video'
+        this.mediaObjectUrl = null;
+        this.isAnalyzingFrame = false;
+        this.detectionInterval = null;
+        this.modelPath = null;
+        this.cacheStatus = { state: 'caching' };
+        this.isUpdateNoticeShown = false;
+        this.lastFrameTime = 0;
         this.fpsCounter = 0;
         this.fpsDisplay = 0;
         
-        // Settings
-        this.settings = {
-            detectionSensitivity: 0.5,
-            maxFaces: 5,
-            emotionDetectionEnabled: true,
-            preferredCamera: null
+        // Settings
+        this.settings = {
+            detectionSensitivity: 0.5,
+            maxFaces: 5,
+            emotionDetectionEnabled: true,
+            preferredCamera: null,
+            detector: 'tinyFaceDetector',
+            tinyInputSize: 416,
+            landmarkModel: 'full',
+            recognitionThreshold: 0.6,
+            enrollmentSamples: 5,
+            smoothingMethod: 'ema',
+            smoothingFactor: 0.3,
+            smoothingWindow: 10,
+            emotionDwellTime: 500,
+            emotionEnterThreshold: 0.3,
+            emotionExitThreshold: 0.2,
+            governorEnabled: false,
+            targetFps: 15,
+            recordingTimeline: true,
+            overlayMode: 'boxes',           // 'boxes' or 'emoji'
+            privacyMode: 'off',             // 'off', 'blur' or 'pixelate'
+            privacyScope: 'all',            // 'all', or 'unknown' to spare enrolled and selected faces
+            privacyStrength: 6,
+            privacyPadding: 0.2,            // Extra margin around each face, as a share of its box
+            headPoseAxes: true,
+            attentionAngle: 20,             // Max yaw/pitch in degrees that counts as looking at the camera
+            eyeClosedThreshold: 0.2,
+            drowsinessTime: 1500,
+            drowsinessSound: false,
+            mouthOpenThreshold: 0.5,
+            ageGenderEnabled: false,
+            gridMaxCameras: 4,              // Cameras opened side by side in grid view
+            rules: [],                      // See RulesEngine.sanitizeRule() for the shape
+            boothSmileThreshold: 0.7,       // Happy score every face needs before the countdown
+            boothCountdown: 3,              // Seconds
+            boothBurstCount: 4,
+            boothLayout: 'strip',           // 'strip' (one column) or 'grid' (two columns)
+            boothEmojiFrames: true,
+            calibrationEnabled: true,       // Rescale expressions against saved baselines
+            overlayBoxes: true,             // Overlay layers in box mode
+            overlayLabels: true,
+            overlayConfidence: true,
+            overlayLandmarks: 'dots',       // 'off', 'dots' or 'contours'
+            overlayExpressionBars: false,
+            overlayTheme: 'classic',        // See OVERLAY_THEMES
+            mirrorView: false               // Selfie view for cameras
+        };
+        this.defaultSettings = { ...this.settings };
+        this.settingsStore = new SettingsStore();
+        
+        // Face detection data
+        this.lastDetections = [];
+        this.privacyDetections = [];        // Every face of the last frame, beyond maxFaces too
+        this.lastDetectionTime = 0;
+        this.emotionData = {
+            happy: 0,
+            sad: 0,
+            angry: 0,
+            fearful: 0,
+            disgusted: 0,
+            surprised: 0,
+            neutral: 0
+        };
+        this.dominantEmotion = null;
+        this.attentionTotals = { attentive: 0, total: 0 };     // Face-time in ms since the source started
+        this.lastPoseTime = null;
+        this.tracker = new FaceTracker();
+        this.emotionSmoother = new EmotionSmoother();
+        this.behaviorMonitor = new BehaviorMonitor();
+        this.rulesEngine = new RulesEngine();
+        this.photoBooth = new PhotoBooth();
+        this.boothBlob = null;
+        this.boothPreviewUrl = null;
+        this.audioContext = null;
+        this.governor = new PerformanceGovernor();
+        this.videoRecorder = new VideoRecorder();
+        this.clipTimeline = new SessionRecorder();    // Sidecar timeline for the current recording
+        this.recordingTimer = null;
+        this.stickers = {};                 // Custom sticker images, keyed by emotion
+        this.pendingStickerEmotion = null;
+        this.detectionWorker = null;
+        this.mainThreadNetsLoading = null;  // Networks a stopped worker had, loading on the main thread
+        this.diagnostics = new Diagnostics();
+        
+        // Face recognition gallery
+        this.gallery = new FaceGallery();
+        this.galleryPeople = [];
+        this.faceMatcher = null;
+        this.isEnrolling = false;
+        
+        // Emotion baselines; enrolled people keep theirs in the gallery
+        this.sessionBaseline = null;
+        this.calibration = null;            // Wizard state while it is open
+        
+        // Grid view: several cameras at once
+        this.cameraGrid = null;
+        
+        // Emotion timeline
+        this.sessionRecorder = new SessionRecorder();
+        this.sessionStats = new SessionStats();
+        this.lastTimelineRender = 0;
+        
+        // DOM elements
+        this.elements = {};
+        this.rangeSettings = [];
+        
+        // Document-level listeners, removed again by destroy()
+        this.documentListeners = [];
+        
+        // Initialize the application; resolves once the app is shown or has failed
+        this.ready = this.init();
+    }
+
+    /**
+     * Create an instance inside a container that holds a copy of the FaceMoji markup
+     */
+    static mount(container, config = {}) {
+        return new FaceMojiApp({ ...config, container });
+    }
+
+    /**
+     * Dispatch a public event
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Log an error and tell integrators about it
+     */
+    reportError(context, error) {
+        console.error(`${context}:`, error);
+        this.diagnostics.recordError(context, error);
+        this.emit('error', { context, error, code: FaceMojiError.from(error).code });
+    }
+
+    /**
+     * Add a listener outside the container, remembered so destroy() can remove it
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.documentListeners.push({ target, type, handler });
+    }
+
+    /**
+     * Stop the camera and worker and detach from the page
+     */
+    destroy() {
+        this.stopCamera();
+        this.stopCameraGrid();
+        this.releaseMediaFile();
+        if (this.boothPreviewUrl) {
+            URL.revokeObjectURL(this.boothPreviewUrl);
+            this.boothPreviewUrl = null;
+        }
+        if (this.detectionWorker) {
+            this.detectionWorker.terminate();
+            this.detectionWorker = null;
+        }
+        this.documentListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.documentListeners = [];
+    }
+
+    /**
+     * Initialize the application
+     */
+    async init() {
+        try {
+            console.log('Initializing FaceMoji...');
+            this.initDOMElements();
+            this.setupEventListeners();
+            this.loadSettings();
+            if (this.config.offlineCache) {
+                this.setupOfflineCache();
+            }
+            this.loadStickers();
+            
+            // Add timeout for model loading
+            const modelLoadPromise = this.loadModels();
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => reject(new FaceMojiError('model-load', 'Model loading timeout after 30 seconds', {
+                    title: 'Model loading is taking too long',
+                    tip: 'Please check your internet connection and try refreshing the page.'
+                })), 30000);
+            });
+            
+            await Promise.race([modelLoadPromise, timeoutPromise]);
+            await this.loadGallery();
+            
+            try {
+                await this.setupCamera();
+            } catch (cameraError) {
+                // Photos and video files can still be analyzed without a camera
+                console.warn('Starting without camera:', cameraError);
+                this.showApp();
+                this.showToast('warning', cameraError.title, 'Open a photo or video file to analyze it instead');
+                return;
+            }
+            
+            this.showApp();
+            this.showToast('success', 'FaceMoji Ready', 'Face detection is now active!');
+            
+        } catch (error) {
+            this.reportError('Initialization error', error);
+            // Without its markup the app has nowhere to show the error
+            if (this.elements.loadingText) {
+                this.handleInitializationError(error);
+            }
+        }
+    }
+
+    /**
+     * Handle initialization errors with user-friendly messages
+     */
+    handleInitializationError(error) {
+        const typedError = FaceMojiError.from(error);
+        // Unexpected errors have no friendlier wording than their own message
+        const errorMessage = typedError.code === 'unknown' ? typedError.message : typedError.title;
+        const troubleshootingTips = typedError.tip;
+        
+        // Update loading screen with error
+        this.elements.loadingProgress.style.width = '0%';
+        this.elements.loadingProgress.style.background = '#ef4444';
+        this.elements.loadingText.innerHTML = `
+            <div style="color: #ef4444; margin-bottom: 10px;">❌ ${errorMessage}</div>
+            <div style="font-size: 12px; color: #9ca3af;">${troubleshootingTips}</div>
+            <button onclick="location.reload()" style="
+                margin-top: 15px; 
+                padding: 8px 16px; 
+                background: #6366f1; 
+                color: white; 
+                border: none; 
+                border-radius: 6px; 
+                cursor: pointer;
+                font-size: 14px;
+            ">Try Again</button>
+            <button data-action="diagnostics" style="
+                margin-top: 15px; 
+                padding: 8px 16px; 
+                background: transparent; 
+                color: #6366f1; 
+                border: 1px solid #6366f1; 
+                border-radius: 6px; 
+                cursor: pointer;
+                font-size: 14px;
+            ">Diagnostics</button>
+        `;
+        this.elements.loadingText.querySelector('[data-action="diagnostics"]')
+            .addEventListener('click', () => this.showDiagnostics());
+        
+        this.showToast('error', 'Initialization Failed', errorMessage);
+    }
+
+    /**
+     * Get references to DOM elements
+     */
+    initDOMElements() {
+        // Element IDs, looked up inside the container; config.elements may
+        // replace any of them with another ID or with the element itself
+        const ids = {
+            // Main containers
+            loadingScreen: 'loadingScreen',
+            appContainer: 'appContainer',
+            loadingProgress: 'loadingProgress',
+            loadingText: 'loadingText',
+            
+            // Video elements
+            video: 'videoElement',
+            image: 'imageElement',
+            canvas: 'overlayCanvas',
+            videoFrame: 'videoFrame',
+            cameraGrid: 'cameraGrid',
+            videoOverlay: 'videoOverlay',
+            noFaceMessage: 'noFaceMessage',
+            
+            // Status elements
+            cameraStatus: 'cameraStatus',
+            statusText: 'statusText',
+            emotionStatus: 'emotionStatus',
+            dominantEmoji: 'dominantEmoji',
+            dominantEmotion: 'dominantEmotion',
+            faceCount: 'faceCount',
+            confidence: 'confidence',
+            fpsDisplay: 'fpsDisplay',
+            cacheStatus: 'cacheStatus',
+            governorStatus: 'governorStatus',
+            attentionDisplay: 'attentionDisplay',
+            attentionStatus: 'attentionStatus',
+            emotionGrid: 'emotionGrid',
+            faceList: 'faceList',
+            cameraGridPanel: 'cameraGridPanel',
+            cameraGridSummary: 'cameraGridSummary',
+            
+            // Emotion timeline
+            recordSessionBtn: 'recordSessionBtn',
+            exportCsvBtn: 'exportCsvBtn',
+            exportJsonBtn: 'exportJsonBtn',
+            dashboardBtn: 'dashboardBtn',
+            timelineDuration: 'timelineDuration',
+            timelineScroll: 'timelineScroll',
+            timelineCanvas: 'timelineCanvas',
+            
+            // Controls
+            toggleCamera: 'toggleCamera',
+            captureBtn: 'captureBtn',
+            recordVideoBtn: 'recordVideoBtn',
+            recordingIndicator: 'recordingIndicator',
+            recordingTime: 'recordingTime',
+            fullscreenBtn: 'fullscreenBtn',
+            settingsBtn: 'settingsBtn',
+            diagnosticsBtn: 'diagnosticsBtn',
+            gridViewBtn: 'gridViewBtn',
+            photoBoothBtn: 'photoBoothBtn',
+            boothOverlay: 'boothOverlay',
+            boothCountdown: 'boothCountdown',
+            boothMessage: 'boothMessage',
+            openFileBtn: 'openFileBtn',
+            fileInput: 'fileInput',
+            
+            // Media file controls
+            fileControls: 'fileControls',
+            filePlayBtn: 'filePlayBtn',
+            fileStepBackBtn: 'fileStepBackBtn',
+            fileStepForwardBtn: 'fileStepForwardBtn',
+            fileSeek: 'fileSeek',
+            fileTime: 'fileTime',
+            
+            // Settings modal
+            settingsModal: 'settingsModal',
+            closeSettings: 'closeSettings',
+            cameraSelect: 'cameraSelect',
+            gridMaxCamerasRange: 'gridMaxCamerasRange',
+            gridMaxCamerasValue: 'gridMaxCamerasValue',
+            sensitivityRange: 'sensitivityRange',
+            sensitivityValue: 'sensitivityValue',
+            maxFacesRange: 'maxFacesRange',
+            maxFacesValue: 'maxFacesValue',
+            emotionDetection: 'emotionDetection',
+            overlayModeSelect: 'overlayModeSelect',
+            overlayBoxes: 'overlayBoxes',
+            overlayLabels: 'overlayLabels',
+            overlayConfidence: 'overlayConfidence',
+            overlayLandmarksSelect: 'overlayLandmarksSelect',
+            overlayExpressionBars: 'overlayExpressionBars',
+            overlayThemeSelect: 'overlayThemeSelect',
+            mirrorView: 'mirrorView',
+            privacyModeSelect: 'privacyModeSelect',
+            privacyScopeSelect: 'privacyScopeSelect',
+            privacyStrengthRange: 'privacyStrengthRange',
+            privacyStrengthValue: 'privacyStrengthValue',
+            privacyPaddingRange: 'privacyPaddingRange',
+            privacyPaddingValue: 'privacyPaddingValue',
+            headPoseAxes: 'headPoseAxes',
+            attentionAngleRange: 'attentionAngleRange',
+            attentionAngleValue: 'attentionAngleValue',
+            eyeClosedRange: 'eyeClosedRange',
+            eyeClosedValue: 'eyeClosedValue',
+            drowsinessTimeRange: 'drowsinessTimeRange',
+            drowsinessTimeValue: 'drowsinessTimeValue',
+            drowsinessSound: 'drowsinessSound',
+            ageGenderEnabled: 'ageGenderEnabled',
+            ageGenderNotice: 'ageGenderNotice',
+            mouthOpenRange: 'mouthOpenRange',
+            mouthOpenValue: 'mouthOpenValue',
+            stickerList: 'stickerList',
+            ruleList: 'ruleList',
+            addRuleBtn: 'addRuleBtn',
+            calibrationEnabled: 'calibrationEnabled',
+            calibrationStatus: 'calibrationStatus',
+            calibrateBtn: 'calibrateBtn',
+            clearCalibrationBtn: 'clearCalibrationBtn',
+            boothSmileRange: 'boothSmileRange',
+            boothSmileValue: 'boothSmileValue',
+            boothCountdownRange: 'boothCountdownRange',
+            boothCountdownValue: 'boothCountdownValue',
+            boothBurstRange: 'boothBurstRange',
+            boothBurstValue: 'boothBurstValue',
+            boothLayoutSelect: 'boothLayoutSelect',
+            boothEmojiFrames: 'boothEmojiFrames',
+            
+            // Emotion calibration wizard
+            calibrationModal: 'calibrationModal',
+            closeCalibration: 'closeCalibration',
+            calibrationTarget: 'calibrationTarget',
+            calibrationSteps: 'calibrationSteps',
+            calibrationPrompt: 'calibrationPrompt',
+            calibrationProgress: 'calibrationProgress',
+            calibrationCaptureBtn: 'calibrationCaptureBtn',
+            calibrationSkipBtn: 'calibrationSkipBtn',
+            calibrationSaveBtn: 'calibrationSaveBtn',
+            
+            // Session dashboard
+            dashboardModal: 'dashboardModal',
+            closeDashboard: 'closeDashboard',
+            dashboardFrame: 'dashboardFrame',
+            exportReportBtn: 'exportReportBtn',
+            printReportBtn: 'printReportBtn',
+            resetStatsBtn: 'resetStatsBtn',
+            
+            // Photo booth result
+            boothModal: 'boothModal',
+            closeBooth: 'closeBooth',
+            boothPreview: 'boothPreview',
+            downloadBoothBtn: 'downloadBoothBtn',
+            boothAgainBtn: 'boothAgainBtn',
+            stickerInput: 'stickerInput',
+            recognitionThresholdRange: 'recognitionThresholdRange',
+            recognitionThresholdValue: 'recognitionThresholdValue',
+            enrollmentSamplesRange: 'enrollmentSamplesRange',
+            enrollmentSamplesValue: 'enrollmentSamplesValue',
+            enrollName: 'enrollName',
+            enrollCameraBtn: 'enrollCameraBtn',
+            enrollPhotoBtn: 'enrollPhotoBtn',
+            enrollPhotoInput: 'enrollPhotoInput',
+            galleryList: 'galleryList',
+            detectorSelect: 'detectorSelect',
+            inputSizeGroup: 'inputSizeGroup',
+            inputSizeSelect: 'inputSizeSelect',
+            landmarkSelect: 'landmarkSelect',
+            modelLoadingStatus: 'modelLoadingStatus',
+            modelLoadingText: 'modelLoadingText',
+            governorEnabled: 'governorEnabled',
+            recordingTimeline: 'recordingTimeline',
+            exportSettingsBtn: 'exportSettingsBtn',
+            importSettingsBtn: 'importSettingsBtn',
+            importSettingsInput: 'importSettingsInput',
+            resetSettingsBtn: 'resetSettingsBtn',
+            targetFpsRange: 'targetFpsRange',
+            targetFpsValue: 'targetFpsValue',
+            smoothingMethod: 'smoothingMethod',
+            smoothingFactorGroup: 'smoothingFactorGroup',
+            smoothingFactorRange: 'smoothingFactorRange',
+            smoothingFactorValue: 'smoothingFactorValue',
+            smoothingWindowGroup: 'smoothingWindowGroup',
+            smoothingWindowRange: 'smoothingWindowRange',
+            smoothingWindowValue: 'smoothingWindowValue',
+            emotionDwellRange: 'emotionDwellRange',
+            emotionDwellValue: 'emotionDwellValue',
+            emotionEnterRange: 'emotionEnterRange',
+            emotionEnterValue: 'emotionEnterValue',
+            emotionExitRange: 'emotionExitRange',
+            emotionExitValue: 'emotionExitValue',
+            
+            // Diagnostics drawer
+            diagnosticsDrawer: 'diagnosticsDrawer',
+            closeDiagnostics: 'closeDiagnostics',
+            runDiagnosticsBtn: 'runDiagnosticsBtn',
+            copyDiagnosticsBtn: 'copyDiagnosticsBtn',
+            diagnosticsResults: 'diagnosticsResults',
+            
+            // Toast container
+            toastContainer: 'toastContainer'
+        };
+        
+        const container = this.config.container;
+        this.elements = {};
+        Object.entries({ ...ids, ...this.config.elements }).forEach(([key, ref]) => {
+            const element = typeof ref === 'string' ? container.querySelector(`#${CSS.escape(ref)}`) : ref;
+            if (!element) {
+                throw new Error(`FaceMoji element not found: ${key} (#${ref})`);
+            }
+            this.elements[key] = element;
+        });
+    }
+
+    /**
+     * Labels find their control by page-wide ID, which with several instances on
+     * one page is the first instance's; send their clicks to this instance's control
+     */
+    scopeLabels() {
+        const container = this.config.container;
+        if (container === document) return;
+        
+        container.addEventListener('click', (e) => {
+            const label = e.target.closest('label[for]');
+            if (!label) return;
+            
+            const control = container.querySelector(`#${CSS.escape(label.htmlFor)}`);
+            if (!control || control === document.getElementById(label.htmlFor)) return;
+            
+            e.preventDefault();
+            if (control.type === 'checkbox' || control.type === 'radio' || control.type === 'file') {
+                control.click();
+            } else {
+                control.focus();
+            }
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.scopeLabels();
+        
+        // Camera toggle
+        this.elements.toggleCamera.addEventListener('click', () => this.toggleCamera());
+        
+        // Capture screenshot
+        this.elements.captureBtn.addEventListener('click', () => this.captureScreenshot());
+        
+        // Record annotated video
+        this.elements.recordVideoBtn.addEventListener('click', () => this.toggleVideoRecording());
+        this.elements.recordingTimeline.addEventListener('change', (e) => {
+            this.settings.recordingTimeline = e.target.checked;
+        });
+        
+        // Fullscreen toggle
+        this.elements.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+        
+        // Emotion timeline
+        this.elements.recordSessionBtn.addEventListener('click', () => this.toggleSessionRecording());
+        this.elements.exportCsvBtn.addEventListener('click', () => this.exportSession('csv'));
+        this.elements.exportJsonBtn.addEventListener('click', () => this.exportSession('json'));
+        
+        // Session dashboard
+        this.elements.dashboardBtn.addEventListener('click', () => this.showDashboard());
+        this.elements.closeDashboard.addEventListener('click', () => this.hideDashboard());
+        this.elements.exportReportBtn.addEventListener('click', () => this.exportReport());
+        this.elements.printReportBtn.addEventListener('click', () => this.printReport());
+        this.elements.resetStatsBtn.addEventListener('click', () => {
+            this.sessionStats.reset();
+            this.showDashboard();
+        });
+        this.elements.dashboardModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.dashboardModal) {
+                this.hideDashboard();
+            }
+        });
+        
+        // Several cameras side by side
+        this.elements.gridViewBtn.addEventListener('click', () => this.toggleCameraGrid());
+        this.bindRangeSetting('gridMaxCameras', 'gridMaxCamerasRange', 'gridMaxCamerasValue', parseInt);
+        
+        // Smile-triggered photo booth
+        this.elements.photoBoothBtn.addEventListener('click', () => this.togglePhotoBooth());
+        this.elements.closeBooth.addEventListener('click', () => this.hideBoothResult());
+        this.elements.downloadBoothBtn.addEventListener('click', () => this.downloadBoothStrip());
+        this.elements.boothAgainBtn.addEventListener('click', () => {
+            this.hideBoothResult();
+            this.togglePhotoBooth();
+        });
+        this.elements.boothModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.boothModal) {
+                this.hideBoothResult();
+            }
+        });
+        this.bindRangeSetting('boothSmileThreshold', 'boothSmileRange', 'boothSmileValue', parseFloat,
+            () => this.photoBooth.configure({ smileThreshold: this.settings.boothSmileThreshold }));
+        this.bindRangeSetting('boothCountdown', 'boothCountdownRange', 'boothCountdownValue', parseInt);
+        this.bindRangeSetting('boothBurstCount', 'boothBurstRange', 'boothBurstValue', parseInt);
+        this.elements.boothLayoutSelect.addEventListener('change', (e) => {
+            this.settings.boothLayout = e.target.value;
+        });
+        this.elements.boothEmojiFrames.addEventListener('change', (e) => {
+            this.settings.boothEmojiFrames = e.target.checked;
+        });
+        
+        // Photo and video file analysis
+        this.elements.openFileBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.openMediaFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        this.elements.videoFrame.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.elements.videoFrame.classList.add('drag-over');
+        });
+        this.elements.videoFrame.addEventListener('dragleave', () => {
+            this.elements.videoFrame.classList.remove('drag-over');
+        });
+        this.elements.videoFrame.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.videoFrame.classList.remove('drag-over');
+            if (e.dataTransfer.files[0]) {
+                this.openMediaFile(e.dataTransfer.files[0]);
+            }
+        });
+        
+        this.elements.filePlayBtn.addEventListener('click', () => this.toggleVideoPlayback());
+        this.elements.fileStepBackBtn.addEventListener('click', () => this.stepVideoFrame(-1));
+        this.elements.fileStepForwardBtn.addEventListener('click', () => this.stepVideoFrame(1));
+        this.elements.fileSeek.addEventListener('input', (e) => {
+            this.elements.video.currentTime = parseFloat(e.target.value);
+        });
+        
+        // Video file playback drives detection; paused frames are analyzed once
+        this.elements.video.addEventListener('play', () => {
+            if (this.sourceType === 'video') {
+                this.updateFileControls();
+                this.startDetection();
+            }
+        });
+        this.elements.video.addEventListener('pause', () => {
+            if (this.sourceType === 'video') this.updateFileControls();
+        });
+        this.elements.video.addEventListener('seeked', () => {
+            if (this.sourceType === 'video' && this.elements.video.paused) {
+                this.analyzeCurrentFrame();
+            }
+        });
+        this.elements.video.addEventListener('timeupdate', () => {
+            if (this.sourceType === 'video') this.updateFileControls();
+        });
+        
+        // Settings modal
+        this.elements.settingsBtn.addEventListener('click', () => this.showSettings());
+        this.elements.closeSettings.addEventListener('click', () => this.hideSettings());
+        
+        // Diagnostics drawer
+        this.elements.diagnosticsBtn.addEventListener('click', () => this.showDiagnostics());
+        this.elements.closeDiagnostics.addEventListener('click', () => this.hideDiagnostics());
+        this.elements.runDiagnosticsBtn.addEventListener('click', () => this.runDiagnostics());
+        this.elements.copyDiagnosticsBtn.addEventListener('click', () => this.copyDiagnosticsReport());
+        
+        // Settings controls
+        this.bindRangeSetting('detectionSensitivity', 'sensitivityRange', 'sensitivityValue', parseFloat);
+        this.bindRangeSetting('maxFaces', 'maxFacesRange', 'maxFacesValue', parseInt);
+        
+        this.elements.emotionDetection.addEventListener('change', (e) => {
+            this.settings.emotionDetectionEnabled = e.target.checked;
+        });
+        
+        // Emoji overlay and custom stickers
+        this.elements.overlayModeSelect.addEventListener('change', (e) => {
+            this.settings.overlayMode = e.target.value;
+            this.redrawOverlay();
+        });
+        
+        // Overlay layers, theme and selfie view
+        this.elements.overlayBoxes.addEventListener('change', (e) => {
+            this.settings.overlayBoxes = e.target.checked;
+            this.redrawOverlay();
+        });
+        this.elements.overlayLabels.addEventListener('change', (e) => {
+            this.settings.overlayLabels = e.target.checked;
+            this.redrawOverlay();
+        });
+        this.elements.overlayConfidence.addEventListener('change', (e) => {
+            this.settings.overlayConfidence = e.target.checked;
+            this.redrawOverlay();
+        });
+        this.elements.overlayLandmarksSelect.addEventListener('change', (e) => {
+            this.settings.overlayLandmarks = e.target.value;
+            this.redrawOverlay();
+        });
+        this.elements.overlayExpressionBars.addEventListener('change', (e) => {
+            this.settings.overlayExpressionBars = e.target.checked;
+            this.redrawOverlay();
+        });
+        this.elements.overlayThemeSelect.addEventListener('change', (e) => {
+            this.settings.overlayTheme = e.target.value;
+            this.redrawOverlay();
+        });
+        this.elements.mirrorView.addEventListener('change', (e) => {
+            this.settings.mirrorView = e.target.checked;
+            this.applyMirrorView();
+            this.redrawOverlay();
+        });
+        
+        // Privacy masks
+        this.elements.privacyModeSelect.addEventListener('change', (e) => {
+            this.settings.privacyMode = e.target.value;
+            this.redrawOverlay();
+        });
+        this.elements.privacyScopeSelect.addEventListener('change', (e) => {
+            this.settings.privacyScope = e.target.value;
+            this.updateFaceList();
+            this.redrawOverlay();
+        });
+        this.bindRangeSetting('privacyStrength', 'privacyStrengthRange', 'privacyStrengthValue', parseInt,
+            () => this.redrawOverlay());
+        this.bindRangeSetting('privacyPadding', 'privacyPaddingRange', 'privacyPaddingValue', parseFloat,
+            () => this.redrawOverlay());
+        // The list is rebuilt every frame, so react on press rather than on a full click
+        this.elements.faceList.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-track-id]');
+            if (item) this.togglePrivacyExempt(Number(item.dataset.trackId));
+        });
+        
+        this.elements.headPoseAxes.addEventListener('change', (e) => {
+            this.settings.headPoseAxes = e.target.checked;
+            this.redrawOverlay();
+        });
+        this.bindRangeSetting('attentionAngle', 'attentionAngleRange', 'attentionAngleValue', parseInt);
+        
+        // Age and gender estimation
+        this.elements.ageGenderEnabled.addEventListener('change', (e) => this.setAgeGenderEnabled(e.target.checked));
+        
+        // Blink, drowsiness and yawn detection
+        this.bindRangeSetting('eyeClosedThreshold', 'eyeClosedRange', 'eyeClosedValue', parseFloat,
+            () => this.applyBehaviorSettings());
+        this.bindRangeSetting('drowsinessTime', 'drowsinessTimeRange', 'drowsinessTimeValue', parseInt,
+            () => this.applyBehaviorSettings());
+        this.bindRangeSetting('mouthOpenThreshold', 'mouthOpenRange', 'mouthOpenValue', parseFloat,
+            () => this.applyBehaviorSettings());
+        this.elements.drowsinessSound.addEventListener('change', (e) => {
+            this.settings.drowsinessSound = e.target.checked;
+            // Ticking the box is a user gesture, which lets the audio context start
+            if (e.target.checked) this.playAlertSound();
+        });
+        this.elements.stickerList.addEventListener('click', (e) => {
+            const uploadBtn = e.target.closest('[data-sticker-upload]');
+            const resetBtn = e.target.closest('[data-sticker-reset]');
+            if (uploadBtn) {
+                this.pendingStickerEmotion = uploadBtn.dataset.stickerUpload;
+                this.elements.stickerInput.click();
+            } else if (resetBtn) {
+                this.removeSticker(resetBtn.dataset.stickerReset);
+            }
+        });
+        this.elements.stickerInput.addEventListener('change', (e) => {
+            if (e.target.files[0] && this.pendingStickerEmotion) {
+                this.setSticker(this.pendingStickerEmotion, e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        this.bindRangeSetting('recognitionThreshold', 'recognitionThresholdRange', 'recognitionThresholdValue', parseFloat,
+            () => this.buildFaceMatcher());
+        this.bindRangeSetting('enrollmentSamples', 'enrollmentSamplesRange', 'enrollmentSamplesValue', parseInt);
+        
+        // Detector backends
+        this.elements.detectorSelect.addEventListener('change', (e) => this.switchDetector(e.target.value));
+        this.elements.inputSizeSelect.addEventListener('change', (e) => {
+            this.settings.tinyInputSize = parseInt(e.target.value);
+        });
+        this.elements.landmarkSelect.addEventListener('change', (e) => this.switchLandmarkModel(e.target.value));
+        
+        // Performance governor
+        this.elements.governorEnabled.addEventListener('change', (e) => {
+            this.settings.governorEnabled = e.target.checked;
+            this.applyGovernorSettings();
+        });
+        this.bindRangeSetting('targetFps', 'targetFpsRange', 'targetFpsValue', parseInt,
+            () => this.applyGovernorSettings());
+        
+        // Emotion smoothing
+        this.elements.smoothingMethod.addEventListener('change', (e) => {
+            this.settings.smoothingMethod = e.target.value;
+            this.applySmoothingSettings();
+        });
+        this.bindRangeSetting('smoothingFactor', 'smoothingFactorRange', 'smoothingFactorValue', parseFloat,
+            () => this.applySmoothingSettings());
+        this.bindRangeSetting('smoothingWindow', 'smoothingWindowRange', 'smoothingWindowValue', parseInt,
+            () => this.applySmoothingSettings());
+        this.bindRangeSetting('emotionDwellTime', 'emotionDwellRange', 'emotionDwellValue', parseInt,
+            () => this.applySmoothingSettings());
+        this.bindRangeSetting('emotionEnterThreshold', 'emotionEnterRange', 'emotionEnterValue', parseFloat, () => {
+            // The exit threshold must stay at or below the enter threshold
+            if (this.settings.emotionExitThreshold > this.settings.emotionEnterThreshold) {
+                this.settings.emotionExitThreshold = this.settings.emotionEnterThreshold;
+                this.syncRangeSettings();
+            }
+            this.applySmoothingSettings();
+        });
+        this.bindRangeSetting('emotionExitThreshold', 'emotionExitRange', 'emotionExitValue', parseFloat, () => {
+            if (this.settings.emotionExitThreshold > this.settings.emotionEnterThreshold) {
+                this.settings.emotionEnterThreshold = this.settings.emotionExitThreshold;
+                this.syncRangeSettings();
+            }
+            this.applySmoothingSettings();
+        });
+        
+        // Face gallery enrollment
+        this.elements.enrollCameraBtn.addEventListener('click', () => this.enrollFromCamera());
+        this.elements.enrollPhotoBtn.addEventListener('click', () => this.elements.enrollPhotoInput.click());
+        this.elements.enrollPhotoInput.addEventListener('change', (e) => {
+            this.enrollFromPhotos(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        // Rules editor
+        this.elements.addRuleBtn.addEventListener('click', () => this.addRule());
+        this.elements.ruleList.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-rule-id]');
+            const field = e.target.dataset.field;
+            if (item && field) {
+                this.updateRule(item.dataset.ruleId, field, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            }
+        });
+        this.elements.ruleList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-rule-remove]');
+            if (removeBtn) {
+                this.removeRule(removeBtn.closest('[data-rule-id]').dataset.ruleId);
+            }
+        });
+        
+        this.elements.galleryList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-id]');
+            const clearBtn = e.target.closest('[data-clear-baseline-id]');
+            if (removeBtn) {
+                this.removePerson(Number(removeBtn.dataset.removeId));
+            } else if (clearBtn) {
+                this.clearPersonBaseline(Number(clearBtn.dataset.clearBaselineId));
+            }
+        });
+        
+        // Emotion calibration
+        this.elements.calibrationEnabled.addEventListener('change', (e) => {
+            this.settings.calibrationEnabled = e.target.checked;
+        });
+        this.elements.calibrateBtn.addEventListener('click', () => this.showCalibration());
+        this.elements.clearCalibrationBtn.addEventListener('click', () => this.clearSessionBaseline());
+        this.elements.closeCalibration.addEventListener('click', () => this.hideCalibration());
+        this.elements.calibrationCaptureBtn.addEventListener('click', () => this.captureCalibrationStep());
+        this.elements.calibrationSkipBtn.addEventListener('click', () => this.skipCalibrationStep());
+        this.elements.calibrationSaveBtn.addEventListener('click', () => this.saveCalibration());
+        
+        this.elements.cameraSelect.addEventListener('change', (e) => {
+            this.settings.preferredCamera = e.target.value;
+            this.switchCamera(e.target.value);
+        });
+        
+        // Settings persistence; control listeners above have already updated this.settings
+        this.elements.settingsModal.addEventListener('change', () => this.saveSettings());
+        this.elements.exportSettingsBtn.addEventListener('click', () => this.exportSettings());
+        this.elements.importSettingsBtn.addEventListener('click', () => this.elements.importSettingsInput.click());
+        this.elements.importSettingsInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importSettings(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.elements.resetSettingsBtn.addEventListener('click', () => this.applySettings(this.defaultSettings));
+        
+        // Modal click outside to close
+        this.elements.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.settingsModal) {
+                this.hideSettings();
+            }
+        });
+        
+        // Keyboard shortcuts; embedders with several instances usually turn these off
+        this.listen(document, 'keydown', (e) => {
+            // Let text fields receive their own keystrokes
+            if (!this.config.keyboardShortcuts || e.target.matches('input[type="text"], input[type="url"], textarea')) {
+                return;
+            }
+            
+            if (e.key === 'Escape') {
+                this.hideSettings();
+                this.hideDiagnostics();
+                this.hideDashboard();
+                this.hideCalibration();
+                this.hideBoothResult();
+                this.stopPhotoBooth();
+            } else if (e.key === ' ') {
+                e.preventDefault();
+                this.captureScreenshot();
+            } else if (e.key === 'f' || e.key === 'F') {
+                this.toggleFullscreen();
+            } else if (e.key === 'r' || e.key === 'R') {
+                this.toggleVideoRecording();
+            }
+        });
+        
+        // Handle page visibility changes
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseDetection();
+            } else {
+                this.resumeDetection();
+            }
+        });
+    }
+
+    /**
+     * Restore saved settings, then apply any preset given in the URL query string.
+     * Runs before the models load so a saved detector is loaded directly.
+     */
+    loadSettings() {
+        let stored = { settings: {}, adjusted: [] };
+        try {
+            if (this.config.persistSettings) {
+                stored = this.settingsStore.load();
+            }
+        } catch (error) {
+            console.warn('Ignoring saved settings:', error.message);
+            this.showToast('warning', 'Settings Reset', 'Saved settings could not be read');
+        }
+        
+        const preset = this.config.urlPresets
+            ? this.settingsStore.parseQuery(window.location.search)
+            : { settings: {}, adjusted: [] };
+        const { settings } = this.settingsStore.validate({
+            ...stored.settings,
+            ...this.config.settings,
+            ...preset.settings
+        }, this.settings);
+        Object.assign(this.settings, settings);
+        
+        if (preset.adjusted.length > 0) {
+            console.warn('Adjusted URL settings:', preset.adjusted.join(', '));
+        }
+        
+        this.applySmoothingSettings();
+        this.applyGovernorSettings();
+        this.applyBehaviorSettings();
+        this.applyMirrorView();
+    }
+
+    saveSettings() {
+        if (this.config.persistSettings) {
+            this.settingsStore.save(this.settings);
+        }
+    }
+
+    /**
+     * Apply a complete or partial settings object at runtime, loading models as needed
+     */
+    async applySettings(newSettings) {
+        const { detector, landmarkModel, preferredCamera, ageGenderEnabled, ...rest } = newSettings;
+        Object.assign(this.settings, rest);
+        
+        this.applySmoothingSettings();
+        this.applyGovernorSettings();
+        this.applyBehaviorSettings();
+        this.buildFaceMatcher();
+        this.redrawOverlay();
+        
+        if (detector && detector !== this.settings.detector) {
+            await this.switchDetector(detector);
+        }
+        if (landmarkModel && landmarkModel !== this.settings.landmarkModel) {
+            await this.switchLandmarkModel(landmarkModel);
+        }
+        if (ageGenderEnabled !== undefined && ageGenderEnabled !== this.settings.ageGenderEnabled) {
+            await this.setAgeGenderEnabled(ageGenderEnabled);
+        }
+        if (preferredCamera !== undefined && preferredCamera !== this.settings.preferredCamera) {
+            this.settings.preferredCamera = preferredCamera;
+            // Clearing it (Reset) keeps the open camera; the default is used from the next start
+            if (preferredCamera) {
+                await this.switchCamera(preferredCamera);
+            }
+        }
+        
+        this.syncSettingsControls();
+        this.saveSettings();
+    }
+
+    exportSettings() {
+        const data = JSON.stringify(this.settingsStore.serialize(this.settings), null, 2);
+        this.downloadBlob(new Blob([data], { type: 'application/json' }), 'facemoji-settings.json');
+    }
+
+    async importSettings(file) {
+        try {
+            const { settings, adjusted } = this.settingsStore.parse(await file.text(), this.settings);
+            await this.applySettings(settings);
+            
+            if (adjusted.length > 0) {
+                this.showToast('warning', 'Settings Imported', `Adjusted invalid values: ${escapeHTML(adjusted.join(', '))}`);
+            } else {
+                this.showToast('success', 'Settings Imported', `${Object.keys(settings).length} settings applied`);
+            }
+        } catch (error) {
+            this.showToast('error', 'Import Failed', error.message);
+        }
+    }
+
+    /**
+     * Wire a range input and its value label to a numeric setting
+     */
+    bindRangeSetting(key, rangeId, valueId, parse, onChange) {
+        const range = this.elements[rangeId];
+        const valueLabel = this.elements[valueId];
+        
+        this.rangeSettings.push({ key, range, valueLabel });
+        range.addEventListener('input', (e) => {
+            this.settings[key] = parse(e.target.value);
+            valueLabel.textContent = e.target.value;
+            if (onChange) onChange();
+        });
+    }
+
+    /**
+     * Copy bound settings back into their range inputs
+     */
+    syncRangeSettings() {
+        this.rangeSettings.forEach(({ key, range, valueLabel }) => {
+            range.value = this.settings[key];
+            valueLabel.textContent = this.settings[key];
+        });
+    }
+
+    /**
+     * Push the smoothing settings into the smoother and update the modal
+     */
+    applySmoothingSettings() {
+        this.emotionSmoother.configure({
+            method: this.settings.smoothingMethod,
+            alpha: this.settings.smoothingFactor,
+            windowSize: this.settings.smoothingWindow,
+            dwellTime: this.settings.emotionDwellTime,
+            enterThreshold: this.settings.emotionEnterThreshold,
+            exitThreshold: this.settings.emotionExitThreshold
+        });
+        
+        this.elements.smoothingFactorGroup.classList.toggle('hidden', this.settings.smoothingMethod !== 'ema');
+        this.elements.smoothingWindowGroup.classList.toggle('hidden', this.settings.smoothingMethod !== 'window');
+    }
+
+    /**
+     * Push the governor settings into the governor and the stats panel
+     */
+    applyGovernorSettings() {
+        this.governor.configure({
+            enabled: this.settings.governorEnabled,
+            targetFps: this.settings.targetFps,
+            resizableInput: this.settings.detector === 'tinyFaceDetector'
+        });
+        this.updateGovernorStatus();
+    }
+
+    /**
+     * Show the governor's current strategy under the FPS value
+     */
+    updateGovernorStatus() {
+        if (!this.settings.governorEnabled) {
+            this.elements.governorStatus.textContent = 'Governor off';
+            return;
+        }
+        
+        let strategy = this.governor.getStrategy();
+        if (this.settings.detector === 'tinyFaceDetector') {
+            strategy += ` (${this.governor.getInputSize(this.settings.tinyInputSize)})`;
+        }
+        this.elements.governorStatus.textContent = `${strategy} · target ${this.settings.targetFps}`;
+    }
+
+    /**
+     * Load face detection models
+     */
+    async loadModels() {
+        try {
+            if (typeof faceapi === 'undefined') {
+                throw new FaceMojiError('library-missing', 'face-api.js is not loaded');
+            }
+            this.updateLoadingProgress(10, 'Loading face detection models...');
+            this.diagnostics.probes = [];
+            this.diagnostics.modelTimings = [];
+            
+            // Try multiple CDN sources for better reliability
+            const modelPaths = [
+                'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights',
+                'https://unpkg.com/face-api.js@0.22.2/weights',
+                'https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@0.22.2/weights',
+                './models' // Local fallback
+            ];
+            
+            // Try the path that worked last time first; once the service worker
+            // has cached it, the probe below is answered without the network
+            const lastModelPath = this.getStoredModelPath();
+            if (lastModelPath && modelPaths.includes(lastModelPath)) {
+                modelPaths.splice(modelPaths.indexOf(lastModelPath), 1);
+                modelPaths.unshift(lastModelPath);
+            }
+            
+            let modelPath = null;
+            let lastError = null;
+            
+            // Test which CDN is accessible
+            for (const path of modelPaths) {
+                const probeStart = performance.now();
+                try {
+                    console.log(`Testing model path: ${path}`);
+                    this.updateLoadingProgress(15, `Testing ${path}...`);
+                    
+                    // Test if we can reach the CDN with a simpler approach
+                    const testUrl = `${path}/tiny_face_detector_model-weights_manifest.json`;
+                    console.log(`Testing URL: ${testUrl}`);
+                    
+                    // Create timeout promise
+                    const timeoutPromise = new Promise((_, reject) => {
+                        setTimeout(() => reject(new Error('Timeout after 10 seconds')), 10000);
+                    });
+                    
+                    const fetchPromise = fetch(testUrl, {
+                        method: 'GET'
+                    });
+                    
+                    const testResponse = await Promise.race([fetchPromise, timeoutPromise]);
+                    
+                    if (testResponse.ok || testResponse.status === 200) {
+                        modelPath = path;
+                        this.diagnostics.recordProbe(path, true, performance.now() - probeStart);
+                        console.log(`Successfully connected to: ${path}`);
+                        break;
+                    } else {
+                        this.diagnostics.recordProbe(path, false, performance.now() - probeStart, `HTTP ${testResponse.status}`);
+                        console.warn(`HTTP ${testResponse.status} for ${path}`);
+                    }
+                } catch (error) {
+                    this.diagnostics.recordProbe(path, false, performance.now() - probeStart, error.message);
+                    console.warn(`Failed to connect to ${path}:`, error.message);
+                    lastError = error;
+                    continue;
+                }
+            }
+            
+            if (!modelPath) {
+                throw new FaceMojiError('model-load', `Cannot access face detection models. Please check your internet connection. Last error: ${lastError?.message}`);
+            }
+            
+            this.modelPath = modelPath;
+            this.diagnostics.modelPath = modelPath;
+            this.storeModelPath(modelPath);
+            
+            // Models are loaded only where detection runs: in the worker when one starts
+            await this.startDetectionWorker();
+            this.updateLoadingProgress(20, 'Downloading models...');
+            
+            // Load core models with better error handling
+            const detectorModel = DETECTOR_MODELS[this.settings.detector];
+            console.log(`Loading ${detectorModel.label}...`);
+            await this.loadNet(detectorModel.net, detectorModel.label);
+            this.updateLoadingProgress(40, 'Face detection model loaded...');
+            
+            const landmarkModel = LANDMARK_MODELS[this.settings.landmarkModel];
+            console.log(`Loading ${landmarkModel.label}...`);
+            await this.loadNet(landmarkModel.net, landmarkModel.label);
+            this.updateLoadingProgress(60, 'Facial landmarks model loaded...');
+            
+            console.log('Loading FaceRecognitionNet...');
+            await this.loadNet('faceRecognitionNet', 'FaceRecognitionNet');
+            this.updateLoadingProgress(80, 'Face recognition model loaded...');
+            
+            console.log('Loading FaceExpressionNet...');
+            await this.loadNet('faceExpressionNet', 'FaceExpressionNet');
+            this.updateLoadingProgress(95, 'Expression recognition model loaded...');
+            
+            if (this.settings.ageGenderEnabled) {
+                console.log(`Loading ${AGE_GENDER_MODEL.label}...`);
+                await this.loadNet(AGE_GENDER_MODEL.net, AGE_GENDER_MODEL.label);
+            }
+            
+            this.isModelLoaded = true;
+            this.updateLoadingProgress(100, 'All models loaded successfully!');
+            console.log('All face detection models loaded successfully!');
+            
+            this.emit('modelsloaded', {
+                modelPath,
+                detector: this.settings.detector,
+                landmarkModel: this.settings.landmarkModel,
+                worker: Boolean(this.detectionWorker)
+            });
+            
+        } catch (error) {
+            console.error('Model loading error:', error);
+            this.updateLoadingProgress(0, `Error: ${error.message}`);
+            if (error instanceof FaceMojiError) throw error;
+            throw new FaceMojiError('model-load', `Failed to load models: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Load a network from the chosen model path where detection runs, timing it for
+     * the diagnostics drawer. A worker that cannot load it is stopped, and the
+     * network is loaded on the main thread instead.
+     */
+    async loadNet(net, label) {
+        const startTime = performance.now();
+        try {
+            if (this.detectionWorker) {
+                try {
+                    await this.detectionWorker.loadModel(net);
+                } catch (error) {
+                    this.handleDetectionWorkerError(error);
+                }
+            }
+            if (!this.detectionWorker) {
+                await this.loadMainThreadNets([net]);
+            }
+            this.diagnostics.recordModelLoad(net, label, true, performance.now() - startTime);
+        } catch (error) {
+            this.diagnostics.recordModelLoad(net, label, false, performance.now() - startTime, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load networks on the main thread, for enrollment and for detection without
+     * a worker; already loaded networks are skipped
+     */
+    async loadMainThreadNets(nets) {
+        for (const net of nets) {
+            if (!faceapi.nets[net].isLoaded) {
+                await faceapi.nets[net].loadFromUri(this.modelPath);
+            }
+        }
+    }
+
+    /**
+     * Whether a network is ready where detection runs
+     */
+    isNetLoaded(net) {
+        return this.detectionWorker
+            ? this.detectionWorker.loadedNets.has(net)
+            : faceapi.nets[net].isLoaded;
+    }
+
+    /**
+     * Move live detection into a worker when the browser supports it; models
+     * loaded afterwards go to the worker only
+     */
+    async startDetectionWorker() {
+        if (!DetectionWorkerClient.isSupported()) {
+            console.log('Detection worker not supported, detecting on the main thread');
+            return;
+        }
+        
+        const client = new DetectionWorkerClient();
+        try {
+            this.updateLoadingProgress(20, 'Starting detection worker...');
+            await client.init(this.modelPath);
+        } catch (error) {
+            console.warn('Detection worker failed to start, detecting on the main thread:', error.message);
+            client.worker.terminate();
+            return;
+        }
+        
+        client.onerror = (error) => this.handleDetectionWorkerError(error);
+        this.detectionWorker = client;
+        console.log('Detection running in a web worker');
+    }
+
+    /**
+     * Fall back to main-thread detection after the worker has crashed or failed
+     * to load a model; the networks it had are loaded on the main thread
+     */
+    handleDetectionWorkerError(error) {
+        const worker = this.detectionWorker;
+        if (!worker) return;
+        
+        this.reportError('Detection worker error', error);
+        this.detectionWorker = null;
+        worker.terminate();
+        
+        this.mainThreadNetsLoading = this.loadMainThreadNets([...worker.loadedNets])
+            .catch(loadError => this.reportError('Model loading error', loadError))
+            .finally(() => { this.mainThreadNetsLoading = null; });
+        this.showToast('warning', 'Detection Worker Stopped', 'Detection continues on the main thread');
+    }
+
+    /**
+     * Load a network the first time it is selected, showing progress in the settings modal
+     */
+    async ensureModelLoaded(model) {
+        if (this.isNetLoaded(model.net)) return;
+        
+        this.elements.modelLoadingText.textContent = `Loading ${model.label}...`;
+        this.elements.modelLoadingStatus.classList.remove('hidden');
+        this.setModelSelectsDisabled(true);
+        
+        try {
+            console.log(`Loading ${model.label} on demand...`);
+            await this.loadNet(model.net, model.label);
+        } finally {
+            this.elements.modelLoadingStatus.classList.add('hidden');
+            this.setModelSelectsDisabled(false);
+        }
+    }
+
+    setModelSelectsDisabled(disabled) {
+        this.elements.detectorSelect.disabled = disabled;
+        this.elements.inputSizeSelect.disabled = disabled;
+        this.elements.landmarkSelect.disabled = disabled;
+    }
+
+    /**
+     * Switch the face detector, keeping the current one until the new model is ready
+     */
+    async switchDetector(detector) {
+        const model = DETECTOR_MODELS[detector];
+        if (!model) return;
+        
+        try {
+            await this.ensureModelLoaded(model);
+            this.settings.detector = detector;
+            this.applyGovernorSettings();
+            this.showToast('success', 'Detector Changed', `Now using ${model.label}`);
+        } catch (error) {
+            this.elements.detectorSelect.value = this.settings.detector;
+            this.showToast('error', 'Model Load Failed', error.message);
+        }
+        
+        this.updateDetectorControls();
+    }
+
+    /**
+     * Switch between the full and tiny 68-point landmark models
+     */
+    async switchLandmarkModel(landmarkModel) {
+        const model = LANDMARK_MODELS[landmarkModel];
+        if (!model) return;
+        
+        try {
+            await this.ensureModelLoaded(model);
+            this.settings.landmarkModel = landmarkModel;
+        } catch (error) {
+            this.elements.landmarkSelect.value = this.settings.landmarkModel;
+            this.showToast('error', 'Model Load Failed', error.message);
+        }
+    }
+
+    /**
+     * Input size only applies to TinyFaceDetector
+     */
+    updateDetectorControls() {
+        this.elements.inputSizeGroup.classList.toggle('hidden', this.settings.detector !== 'tinyFaceDetector');
+    }
+
+    /**
+     * Model path that loaded successfully last time, if any
+     */
+    getStoredModelPath() {
+        try {
+            return localStorage.getItem('facemoji-model-path');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    storeModelPath(path) {
+        try {
+            localStorage.setItem('facemoji-model-path', path);
+        } catch (error) {
+            // Storage may be disabled (e.g. private browsing); the probe still works
+        }
+    }
+
+    /**
+     * Register the service worker that caches the app, face-api.js and models
+     */
+    async setupOfflineCache() {
+        if (!('serviceWorker' in navigator)) {
+            this.updateCacheStatus({ state: 'unavailable' });
+            return;
+        }
+        
+        this.listen(navigator.serviceWorker, 'message', (e) => this.handleServiceWorkerMessage(e.data));
+        
+        try {
+            await navigator.serviceWorker.register('sw.js');
+            const registration = await navigator.serviceWorker.ready;
+            registration.active.postMessage({ type: 'GET_STATUS' });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            this.updateCacheStatus({ state: 'unavailable' });
+        }
+    }
+
+    /**
+     * React to cache status and update notices from the service worker
+     */
+    handleServiceWorkerMessage(message) {
+        if (!message) return;
+        
+        if (message.type === 'CACHE_STATUS') {
+            this.updateCacheStatus(message);
+        } else if (message.type === 'UPDATE_AVAILABLE' && !this.isUpdateNoticeShown) {
+            this.isUpdateNoticeShown = true;
+            this.showToast('info', 'Update Available', 'Reload the page to use the latest version');
+        }
+    }
+
+    /**
+     * Show how much of the app is available offline
+     */
+    updateCacheStatus(status) {
+        const labels = {
+            ready: 'Offline Ready',
+            caching: 'Caching...',
+            unavailable: 'Online Only'
+        };
+        
+        this.cacheStatus = status;
+        this.elements.cacheStatus.textContent = status.state === 'partial'
+            ? `${status.cached}/${status.total} Cached`
+            : labels[status.state] || 'Unknown';
+    }
+
+    /**
+     * Set up camera access
+     */
+    async setupCamera() {
+        try {
+            if (!navigator.mediaDevices) {
+                throw new TypeError('navigator.mediaDevices is not available');
+            }
+            
+            // Get available cameras
+            await this.updateCameraList();
+            
+            // Request camera permission
+            const constraints = {
+                video: {
+                    width: { ideal: 1280 },
+                    height: { ideal: 720 },
+                    frameRate: { ideal: 30 },
+                    facingMode: 'user'
+                }
+            };
+            
+            if (this.settings.preferredCamera) {
+                constraints.video.deviceId = { exact: this.settings.preferredCamera };
+            }
+            
+            try {
+                this.currentStream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (error) {
+                // A saved camera may have been unplugged since; fall back to the default one
+                if (!constraints.video.deviceId || error.name !== 'OverconstrainedError') throw error;
+                delete constraints.video.deviceId;
+                this.settings.preferredCamera = null;
+                this.currentStream = await navigator.mediaDevices.getUserMedia(constraints);
+            }
+            this.elements.video.srcObject = this.currentStream;
+            
+            // Wait for video to be ready
+            await new Promise((resolve) => {
+                this.elements.video.onloadedmetadata = () => {
+                    this.elements.video.play();
+                    resolve();
+                };
+            });
+            
+            this.isCameraActive = true;
+            this.updateCameraStatus('active', 'Camera Active');
+            this.startDetection();
+            
+        } catch (error) {
+            this.updateCameraStatus('error', 'Camera Error');
+            const setupError = FaceMojiError.fromCameraError(error);
+            this.reportError('Camera setup failed', setupError);
+            throw setupError;
+        }
+    }
+
+    /**
+     * Open a photo or video file for analysis in place of the camera
+     */
+    async openMediaFile(file) {
+        const supportedTypes = ['image/jpeg', 'image/png', 'video/mp4', 'video/webm'];
+        if (!supportedTypes.includes(file.type)) {
+            this.showToast('warning', 'Unsupported File', 'Please choose a JPEG, PNG, MP4 or WebM file');
+            return;
+        }
+        
+        const wasCameraActive = this.isCameraActive || Boolean(this.cameraGrid);
+        if (this.isCameraActive) {
+            this.stopCamera();
+        }
+        this.stopCameraGrid();
+        this.releaseMediaFile();
+        this.emitTrackChanges([], this.tracker.reset());
+        this.emotionSmoother.reset();
+        this.behaviorMonitor.reset();
+        this.rulesEngine.reset();
+        this.resetAttention();
+        this.stopPhotoBooth();
+        
+        const isVideo = file.type.startsWith('video/');
+        this.mediaObjectUrl = URL.createObjectURL(file);
+        
+        try {
+            if (isVideo) {
+                const video = this.elements.video;
+                video.src = this.mediaObjectUrl;
+                video.loop = false;
+                await new Promise((resolve, reject) => {
+                    video.onloadedmetadata = resolve;
+                    video.onerror = () => reject(new Error('The video could not be decoded'));
+                });
+                video.pause();
+                
+                this.sourceType = 'video';
+                this.elements.fileSeek.max = video.duration;
+                this.elements.fileSeek.value = 0;
+                this.elements.fileControls.classList.remove('hidden');
+            } else {
+                const image = this.elements.image;
+                image.src = this.mediaObjectUrl;
+                await image.decode();
+                
+                this.sourceType = 'image';
+            }
+        } catch (error) {
+            this.showToast('error', 'Cannot Open File', error.message);
+            // Only go back to the camera if it was on; a failed open must not turn it on
+            try {
+                await this.closeMediaFile(wasCameraActive);
+            } catch (cameraError) {
+                this.showCameraError(cameraError);
+            }
+            return;
+        }
+        
+        this.elements.video.classList.toggle('hidden', !isVideo);
+        this.elements.image.classList.toggle('hidden', isVideo);
+        this.elements.videoFrame.classList.add('file-mode');
+        this.updateCameraStatus('file', isVideo ? 'Video File' : 'Photo');
+        this.elements.toggleCamera.innerHTML = '<i class="fas fa-video"></i><span>Use Camera</span>';
+        this.updateFileControls();
+        
+        await this.analyzeCurrentFrame();
+    }
+
+    /**
+     * Leave file analysis and return to the live camera, or to the camera-off
+     * state when `restartCamera` is false
+     */
+    async closeMediaFile(restartCamera = true) {
+        this.releaseMediaFile();
+        this.sourceType = 'camera';
+        this.isDetectionRunning = false;
+        this.lastDetections = [];
+        this.privacyDetections = [];
+        this.emitTrackChanges([], this.tracker.reset());
+        this.emotionSmoother.reset();
+        this.behaviorMonitor.reset();
+        this.rulesEngine.reset();
+        this.resetAttention();
+        
+        this.elements.image.classList.add('hidden');
+        this.elements.video.classList.remove('hidden');
+        this.elements.videoFrame.classList.remove('file-mode');
+        this.elements.fileControls.classList.add('hidden');
+        
+        if (restartCamera) {
+            await this.setupCamera();
+        } else {
+            this.stopCamera();
+        }
+    }
+
+    /**
+     * Detach the current file from the media elements
+     */
+    releaseMediaFile() {
+        if (!this.mediaObjectUrl) return;
+        
+        this.stopVideoRecording();
+        this.elements.video.pause();
+        this.elements.video.removeAttribute('src');
+        this.elements.video.load();
+        this.elements.image.removeAttribute('src');
+        
+        URL.revokeObjectURL(this.mediaObjectUrl);
+        this.mediaObjectUrl = null;
+    }
+
+    /**
+     * Element detection should read frames from
+     */
+    getMediaElement() {
+        return this.sourceType === 'image' ? this.elements.image : this.elements.video;
+    }
+
+    /**
+     * Intrinsic pixel size of the current source
+     */
+    getMediaSize() {
+        if (this.sourceType === 'image') {
+            return { width: this.elements.image.naturalWidth, height: this.elements.image.naturalHeight };
+        }
+        return { width: this.elements.video.videoWidth, height: this.elements.video.videoHeight };
+    }
+
+    /**
+     * Whether a source is available to detect on or capture from
+     */
+    hasActiveSource() {
+        return this.isCameraActive || this.sourceType !== 'camera';
+    }
+
+    /**
+     * Play or pause the loaded video file
+     */
+    toggleVideoPlayback() {
+        const video = this.elements.video;
+        if (video.paused || video.ended) {
+            video.play();
+        } else {
+            video.pause();
+        }
+    }
+
+    /**
+     * Seek the paused video file by a number of frames
+     */
+    stepVideoFrame(direction) {
+        const video = this.elements.video;
+        const frameDuration = 1 / 30;
+        
+        video.pause();
+        video.currentTime = Math.min(video.duration, Math.max(0, video.currentTime + direction * frameDuration));
+    }
+
+    /**
+     * Sync the play button, scrub bar and time readout with the video
+     */
+    updateFileControls() {
+        const video = this.elements.video;
+        const formatTime = (seconds) => {
+            const safeSeconds = Number.isFinite(seconds) ? seconds : 0;
+            const minutes = Math.floor(safeSeconds / 60);
+            return `${minutes}:${String(Math.floor(safeSeconds % 60)).padStart(2, '0')}`;
+        };
+        
+        this.elements.filePlayBtn.innerHTML = video.paused
+            ? '<i class="fas fa-play"></i>'
+            : '<i class="fas fa-pause"></i>';
+        this.elements.fileSeek.value = video.currentTime;
+        this.elements.fileTime.textContent = `${formatTime(video.currentTime)} / ${formatTime(video.duration)}`;
+    }
+
+    /**
+     * Update camera device list
+     */
+    async updateCameraList() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const videoDevices = devices.filter(device => device.kind === 'videoinput');
+            
+            this.elements.cameraSelect.innerHTML = '';
+            
+            if (videoDevices.length === 0) {
+                this.elements.cameraSelect.innerHTML = '<option value="">No cameras found</option>';
+                return;
+            }
+            
+            videoDevices.forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `Camera ${index + 1}`;
+                this.elements.cameraSelect.appendChild(option);
+            });
+            
+        } catch (error) {
+            console.error('Failed to enumerate cameras:', error);
+        }
+    }
+
+    /**
+     * Start face detection
+     */
+    startDetection() {
+        const hasSource = this.hasActiveSource() || this.cameraGrid;
+        if (!this.isModelLoaded || !hasSource || this.sourceType === 'image' || this.isDetectionRunning) {
+            return;
+        }
+        
+        this.isDetectionRunning = true;
+        this.detectFaces();
+    }
+
+    /**
+     * Perform face detection
+     */
+    async detectFaces() {
+        const videoStopped = !this.cameraGrid && (this.elements.video.paused || this.elements.video.ended);
+        if (!this.isDetectionRunning || videoStopped) {
+            // Allow startDetection() to restart the loop, e.g. when a video file resumes
+            this.isDetectionRunning = false;
+            return;
+        }
+        
+        try {
+            // Calculate FPS
+            const currentTime = performance.now();
+            if (this.lastFrameTime > 0) {
+                const deltaTime = currentTime - this.lastFrameTime;
+                this.fpsCounter = 1000 / deltaTime;
+                this.fpsDisplay = Math.round(this.fpsCounter);
+                this.elements.fpsDisplay.textContent = this.fpsDisplay;
+            }
+            this.lastFrameTime = currentTime;
+            
+            if (this.cameraGrid) {
+                await this.analyzeGridFrame();
+            } else {
+                await this.analyzeFrame({ governed: true });
+            }
+            
+            // Let the governor adapt quality and cap the rate at the target FPS
+            const delay = this.governor.recordFrame(performance.now() - currentTime);
+            this.updateGovernorStatus();
+            
+            // Continue detection
+            if (delay > 0) {
+                setTimeout(() => requestAnimationFrame(() => this.detectFaces()), delay);
+            } else {
+                requestAnimationFrame(() => this.detectFaces());
+            }
+            
+        } catch (error) {
+            this.reportError('Detection error', error);
+            // Continue despite errors
+            setTimeout(() => this.detectFaces(), 100);
+        }
+    }
+
+    /**
+     * Run detection once on a still image or paused video frame
+     */
+    async analyzeCurrentFrame() {
+        if (!this.isModelLoaded || this.isAnalyzingFrame) return;
+        
+        this.isAnalyzingFrame = true;
+        try {
+            await this.analyzeFrame();
+        } catch (error) {
+            this.reportError('Frame analysis error', error);
+            this.showToast('error', 'Analysis Failed', error.message);
+        } finally {
+            this.isAnalyzingFrame = false;
+        }
+    }
+
+    /**
+     * Run the detection pipeline on the current frame and update the UI
+     */
+    async analyzeFrame(options = {}) {
+        // Detector only on governed alternate frames; landmarks and expressions
+        // are then carried over from each track
+        const detectorOnly = options.governed && this.governor.shouldSkipFacePasses();
+        const detections = await this.runDetection(detectorOnly);
+        
+        // The worker was still busy with an earlier frame
+        if (!detections) return this.lastDetections;
+        
+        if (detectorOnly) {
+            detections.forEach(detection => { detection.reusedFacePasses = true; });
+        }
+        
+        // Limit number of faces
+        const limitedDetections = detections.slice(0, this.settings.maxFaces);
+        this.lastDetections = limitedDetections;
+        // Privacy masks cover faces past the limit as well
+        this.privacyDetections = detections;
+        this.lastDetectionTime = performance.now();
+        
+        // Assign stable track IDs, names and smoothed emotions
+        const { entered, exited } = this.tracker.update(limitedDetections);
+        exited.forEach(track => {
+            this.emotionSmoother.forget(track.id);
+            this.behaviorMonitor.forget(track.id);
+        });
+        this.reuseFacePasses(limitedDetections);
+        this.recognizeFaces(limitedDetections);
+        this.collectCalibrationSample(limitedDetections);
+        this.calibrateExpressions(limitedDetections);
+        this.smoothFaceEmotions(limitedDetections);
+        this.smoothAgeGender(limitedDetections);
+        this.updateHeadPoses(limitedDetections);
+        this.updateBehavior(limitedDetections);
+        this.emitTrackChanges(entered, exited);
+        
+        // Update UI
+        this.updateDetectionUI(limitedDetections);
+        this.drawDetections(limitedDetections);
+        this.recordSessionSample(limitedDetections);
+        this.updateSessionStats(limitedDetections);
+        
+        this.emit('facesdetected', {
+            faces: this.describeFaces(limitedDetections),
+            source: this.sourceType,
+            timestamp: performance.now()
+        });
+        this.evaluateRules(this.getRuleFaces(limitedDetections));
+        this.updatePhotoBooth(limitedDetections);
+        
+        return limitedDetections;
+    }
+
+    /**
+     * Public, plain-object view of a frame's faces
+     */
+    describeFaces(detections) {
+        return detections.map(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            const { x, y, width, height } = detection.detection.box;
+            return {
+                trackId: detection.trackId,
+                label: this.getFaceLabel(track),
+                box: { x, y, width, height },
+                score: detection.detection.score,
+                expressions: detection.expressions ? { ...detection.expressions } : null,
+                emotion: track && track.emotion ? track.emotion.dominant : null,
+                pose: detection.pose
+                    ? { yaw: detection.pose.yaw, pitch: detection.pose.pitch, roll: detection.pose.roll }
+                    : null,
+                attentive: track ? track.attentive : null,
+                behavior: track && track.behavior ? { ...track.behavior } : null,
+                ageGender: track && track.ageGender
+                    ? { age: track.ageGender.age, gender: track.ageGender.gender, genderProbability: track.ageGender.genderProbability }
+                    : null
+            };
+        });
+    }
+
+    emitTrackChanges(entered, exited) {
+        entered.forEach(track => this.emit('faceenter', {
+            trackId: track.id,
+            label: this.getFaceLabel(track)
+        }));
+        exited.forEach(track => this.emit('faceexit', {
+            trackId: track.id,
+            label: this.getFaceLabel(track),
+            duration: track.lastSeen - track.firstSeen
+        }));
+    }
+
+    /**
+     * Detect faces in the current frame (or in `media`, e.g. a grid view camera),
+     * in the worker when one is running. Resolves with null when the worker
+     * dropped the frame.
+     */
+    async runDetection(detectorOnly, media = this.getMediaElement()) {
+        // Descriptors are only needed when there is someone to recognize
+        const withDescriptors = !detectorOnly && Boolean(this.faceMatcher);
+        const withAgeGender = !detectorOnly && this.settings.ageGenderEnabled && this.isNetLoaded(AGE_GENDER_MODEL.net);
+        
+        if (this.detectionWorker) {
+            try {
+                return await this.detectionWorker.detect(media, {
+                    detector: this.settings.detector,
+                    detectorParams: this.getDetectorParams(),
+                    landmarks: !detectorOnly,
+                    tinyLandmarks: this.useTinyLandmarks(),
+                    ageGender: withAgeGender,
+                    descriptors: withDescriptors
+                });
+            } catch (error) {
+                // A crashed worker has already been dropped; retry on the main thread
+                if (this.detectionWorker) throw error;
+            }
+        }
+        
+        // After a worker stopped, wait for its networks to load here
+        if (this.mainThreadNetsLoading) {
+            await this.mainThreadNetsLoading;
+        }
+        
+        if (detectorOnly) {
+            const faces = await faceapi.detectAllFaces(media, this.getDetectorOptions());
+            return faces.map(detection => ({ detection }));
+        }
+        
+        // Detect faces with expressions
+        let task = faceapi
+            .detectAllFaces(media, this.getDetectorOptions())
+            .withFaceLandmarks(this.useTinyLandmarks())
+            .withFaceExpressions();
+        
+        if (withAgeGender) {
+            task = task.withAgeAndGender();
+        }
+        if (withDescriptors) {
+            task = task.withFaceDescriptors();
+        }
+        
+        return task;
+    }
+
+    /**
+     * Detector options shared by live detection and enrollment
+     */
+    getDetectorOptions() {
+        const params = this.getDetectorParams();
+        return this.settings.detector === 'ssdMobilenetv1'
+            ? new faceapi.SsdMobilenetv1Options(params)
+            : new faceapi.TinyFaceDetectorOptions(params);
+    }
+
+    /**
+     * Plain detector parameters, so they can also be posted to the worker
+     */
+    getDetectorParams() {
+        if (this.settings.detector === 'ssdMobilenetv1') {
+            const params = { minConfidence: this.settings.detectionSensitivity };
+            // Privacy masks cover every face, so only cap SSD results while they are off;
+            // maxFaces still limits the analyzed faces after detection
+            if (this.settings.privacyMode === 'off') {
+                params.maxResults = this.settings.maxFaces;
+            }
+            return params;
+        }
+        
+        return {
+            inputSize: this.governor.getInputSize(this.settings.tinyInputSize),
+            scoreThreshold: this.settings.detectionSensitivity
+        };
+    }
+
+    /**
+     * Whether to use faceLandmark68TinyNet instead of the full landmark model
+     */
+    useTinyLandmarks() {
+        return this.settings.landmarkModel === 'tiny';
+    }
+
+    /**
+     * Fill in landmarks and expressions for detector-only frames from each face's track,
+     * moving the last landmark shape onto the new box
+     */
+    reuseFacePasses(detections) {
+        detections.forEach(detection => {
+            if (!detection.reusedFacePasses) return;
+            
+            const track = this.tracker.getTrack(detection.trackId);
+            if (!track) return;
+            
+            const { x, y, width, height } = detection.detection.box;
+            if (track.shape) {
+                detection.landmarks = {
+                    positions: track.shape.map(point => ({
+                        x: x + point.x * width,
+                        y: y + point.y * height
+                    }))
+                };
+            }
+            detection.expressions = track.expressions;
+        });
+    }
+
+    /**
+     * Match face descriptors against the gallery and name each track
+     */
+    recognizeFaces(detections) {
+        detections.forEach(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            if (!track) return;
+            
+            if (!this.faceMatcher) {
+                track.identity = null;
+                return;
+            }
+            
+            // Keep the last match on frames without descriptors
+            if (!detection.descriptor) return;
+            
+            const match = this.faceMatcher.findBestMatch(detection.descriptor);
+            track.identity = match.label === 'unknown' ? null : match.label;
+            track.matchDistance = match.distance;
+        });
+    }
+
+    /**
+     * Smooth each face's expressions over time and store the result on its track
+     */
+    smoothFaceEmotions(detections) {
+        detections.forEach(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            if (!track || !detection.expressions || detection.reusedFacePasses) return;
+            
+            const previous = track.emotion ? track.emotion.dominant : null;
+            track.emotion = this.emotionSmoother.update(track.id, detection.expressions);
+            if (track.emotion.dominant !== previous) {
+                this.emit('emotionchange', { trackId: track.id, emotion: track.emotion.dominant, previous });
+            }
+        });
+    }
+
+    /**
+     * Average each face's age and gender over time; single-frame estimates
+     * jump around by several years
+     */
+    smoothAgeGender(detections) {
+        detections.forEach(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            if (!track || typeof detection.age !== 'number' || detection.reusedFacePasses) return;
+            
+            // Gender is averaged as the probability of one class so it can change sides
+            const maleProbability = detection.gender === 'male'
+                ? detection.genderProbability
+                : 1 - detection.genderProbability;
+            const previous = track.ageGender;
+            const alpha = 0.15;
+            const age = previous ? previous.age + alpha * (detection.age - previous.age) : detection.age;
+            const male = previous
+                ? previous.maleProbability + alpha * (maleProbability - previous.maleProbability)
+                : maleProbability;
+            
+            track.ageGender = {
+                age,
+                maleProbability: male,
+                gender: male >= 0.5 ? 'male' : 'female',
+                genderProbability: Math.max(male, 1 - male)
+            };
+        });
+    }
+
+    /**
+     * Short age and gender text for the overlay and face list, or '' when off
+     */
+    describeAgeGender(track) {
+        if (!this.settings.ageGenderEnabled || !track || !track.ageGender) return '';
+        const { age, gender } = track.ageGender;
+        return `${gender === 'male' ? '♂' : '♀'} ~${Math.round(age)}`;
+    }
+
+    /**
+     * Turn age and gender estimation on or off, downloading the model the first time
+     */
+    async setAgeGenderEnabled(enabled) {
+        if (enabled) {
+            try {
+                await this.ensureModelLoaded(AGE_GENDER_MODEL);
+            } catch (error) {
+                this.elements.ageGenderEnabled.checked = false;
+                this.showToast('error', 'Model Load Failed', error.message);
+                return;
+            }
+        } else {
+            // Estimates are not kept around once the feature is off, not even for
+            // faces in the grace period
+            this.tracker.getTracks().forEach(track => { track.ageGender = null; });
+        }
+        
+        this.settings.ageGenderEnabled = enabled;
+        this.elements.ageGenderEnabled.checked = enabled;
+        this.elements.ageGenderNotice.classList.toggle('hidden', !enabled);
+        this.saveSettings();
+        this.redrawOverlay();
+    }
+
+    /**
+     * Estimate each face's head pose, decide whether it is looking at the camera
+     * and add the frame to the per-track and overall attention totals. Carried-over
+     * landmarks only repeat the last pose, so those frames are not scored; their
+     * time is counted with the next frame that has fresh landmarks.
+     */
+    updateHeadPoses(detections, timestamp = performance.now()) {
+        const reusedFrame = detections.length > 0 && detections.every(detection => detection.reusedFacePasses);
+        
+        // Gaps while detection was paused count as one second at most
+        let elapsed = 0;
+        if (!reusedFrame) {
+            elapsed = this.lastPoseTime === null ? 0 : Math.max(0, Math.min(timestamp - this.lastPoseTime, 1000));
+            this.lastPoseTime = timestamp;
+        }
+        
+        detections.forEach(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            detection.pose = detection.landmarks ? HeadPoseEstimator.estimate(detection.landmarks.positions) : null;
+            if (!track || !detection.pose || detection.reusedFacePasses) return;
+            
+            track.pose = detection.pose;
+            track.attentive = HeadPoseEstimator.isAttentive(detection.pose, this.settings.attentionAngle);
+            track.attention = track.attention || { attentive: 0, total: 0 };
+            track.attention.total += elapsed;
+            this.attentionTotals.total += elapsed;
+            if (track.attentive) {
+                track.attention.attentive += elapsed;
+                this.attentionTotals.attentive += elapsed;
+            }
+        });
+    }
+
+    /**
+     * Blink, drowsiness and yawn tracking per face. Frames with carried-over
+     * landmarks are skipped, since they would hide eye movement.
+     */
+    updateBehavior(detections, timestamp = performance.now()) {
+        detections.forEach(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            if (!track || !detection.landmarks || detection.reusedFacePasses) return;
+            
+            const { state, events } = this.behaviorMonitor.update(track.id, detection.landmarks.positions, timestamp);
+            track.behavior = state;
+            events.forEach(event => this.handleBehaviorEvent(track, event));
+        });
+    }
+
+    handleBehaviorEvent(track, event) {
+        const label = this.getFaceLabel(track);
+        this.emit(event.type, { trackId: track.id, label, duration: event.duration });
+        
+        if (event.type === 'drowsiness') {
+            this.showToast('warning', 'Drowsiness Alert', `${escapeHTML(label)}: eyes closed for ${(event.duration / 1000).toFixed(1)}s`);
+            if (this.settings.drowsinessSound) {
+                this.playAlertSound();
+            }
+        }
+    }
+
+    /**
+     * Short beep through Web Audio; does nothing where audio is unavailable
+     */
+    playAlertSound() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+        }
+        const audio = this.audioContext;
+        if (audio.state === 'suspended') {
+            audio.resume();
+        }
+        
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.2, audio.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + 0.6);
+        oscillator.connect(gain);
+        gain.connect(audio.destination);
+        oscillator.start();
+        oscillator.stop(audio.currentTime + 0.6);
+    }
+
+    applyBehaviorSettings() {
+        this.behaviorMonitor.configure({
+            eyeClosedThreshold: this.settings.eyeClosedThreshold,
+            drowsinessTime: this.settings.drowsinessTime,
+            mouthOpenThreshold: this.settings.mouthOpenThreshold
+        });
+    }
+
+    resetAttention() {
+        this.attentionTotals = { attentive: 0, total: 0 };
+        this.lastPoseTime = null;
+    }
+
+    /**
+     * Display label for a tracked face
+     */
+    getFaceLabel(track) {
+        if (!track) return 'Face';
+        if (track.identity) return track.identity;
+        return this.faceMatcher ? 'Unknown' : `Face ${track.id}`;
+    }
+
+    /**
+     * Load enrolled people from IndexedDB
+     */
+    async loadGallery() {
+        try {
+            this.galleryPeople = await this.gallery.getAll();
+        } catch (error) {
+            console.warn('Face gallery unavailable:', error);
+            this.galleryPeople = [];
+        }
+        
+        this.buildFaceMatcher();
+        this.renderGalleryList();
+        this.updateCalibrationStatus();
+    }
+
+    /**
+     * Rebuild the FaceMatcher from the gallery and current threshold
+     */
+    buildFaceMatcher() {
+        if (this.galleryPeople.length === 0) {
+            this.faceMatcher = null;
+            return;
+        }
+        
+        const labeledDescriptors = this.galleryPeople.map(person => new faceapi.LabeledFaceDescriptors(
+            person.name,
+            person.descriptors.map(descriptor => new Float32Array(descriptor))
+        ));
+        
+        this.faceMatcher = new faceapi.FaceMatcher(labeledDescriptors, this.settings.recognitionThreshold);
+    }
+
+    /**
+     * Render enrolled people in the settings modal
+     */
+    renderGalleryList() {
+        const list = this.elements.galleryList;
+        list.innerHTML = '';
+        
+        if (this.galleryPeople.length === 0) {
+            list.innerHTML = '<div class="gallery-empty">No one enrolled yet</div>';
+            return;
+        }
+        
+        this.galleryPeople.forEach(person => {
+            const item = document.createElement('div');
+            item.className = 'gallery-item';
+            const baselineButton = person.baseline
+                ? `<button class="gallery-baseline" data-clear-baseline-id="${person.id}" title="Clear emotion baseline"><i class="fas fa-sliders-h"></i></button>`
+                : '';
+            item.innerHTML = `
+                <span class="gallery-name"></span>
+                <span class="gallery-samples">${person.descriptors.length} samples</span>
+                ${baselineButton}
+                <button class="gallery-remove" data-remove-id="${person.id}" title="Remove">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+            // Names are user input, so never interpolate them as HTML
+            item.querySelector('.gallery-name').textContent = person.name;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Enrollment always detects on the main thread, even while a worker runs
+     */
+    getEnrollmentNets() {
+        return [
+            DETECTOR_MODELS[this.settings.detector].net,
+            LANDMARK_MODELS[this.settings.landmarkModel].net,
+            'faceRecognitionNet'
+        ];
+    }
+
+    /**
+     * Read and validate the name for a new enrollment
+     */
+    getEnrollmentName() {
+        const name = this.elements.enrollName.value.trim();
+        if (!name) {
+            this.showToast('warning', 'Name Required', 'Enter a name before enrolling a face');
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Capture several descriptors of one person from the live feed
+     */
+    async enrollFromCamera() {
+        if (this.isEnrolling) return;
+        
+        const name = this.getEnrollmentName();
+        if (!name) return;
+        
+        if (!this.isCameraActive) {
+            this.showToast('warning', 'Camera Not Active', 'Please turn on the camera first');
+            return;
+        }
+        
+        this.isEnrolling = true;
+        const button = this.elements.enrollCameraBtn;
+        const originalLabel = button.innerHTML;
+        const target = this.settings.enrollmentSamples;
+        const deadline = performance.now() + 15000;
+        const descriptors = [];
+        
+        try {
+            await this.loadMainThreadNets(this.getEnrollmentNets());
+            while (descriptors.length < target && performance.now() < deadline) {
+                const result = await faceapi
+                    .detectSingleFace(this.elements.video, this.getDetectorOptions())
+                    .withFaceLandmarks(this.useTinyLandmarks())
+                    .withFaceDescriptor();
+                
+                if (result) {
+                    descriptors.push(result.descriptor);
+                    button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${descriptors.length}/${target}`;
+                }
+                
+                // Space samples out so they capture slightly different poses
+                await new Promise(resolve => setTimeout(resolve, 300));
+            }
+            
+            if (descriptors.length === 0) {
+                throw new Error('No face found. Face the camera and try again.');
+            }
+            
+            await this.enrollPerson(name, descriptors);
+        } catch (error) {
+            this.showToast('error', 'Enrollment Failed', error.message);
+        } finally {
+            this.isEnrolling = false;
+            button.innerHTML = originalLabel;
+        }
+    }
+
+    /**
+     * Enroll one person from uploaded photos (one sample per photo)
+     */
+    async enrollFromPhotos(files) {
+        if (this.isEnrolling || files.length === 0) return;
+        
+        const name = this.getEnrollmentName();
+        if (!name) return;
+        
+        this.isEnrolling = true;
+        const descriptors = [];
+        
+        try {
+            await this.loadMainThreadNets(this.getEnrollmentNets());
+            for (const file of files) {
+                const image = await faceapi.bufferToImage(file);
+                const result = await faceapi
+                    .detectSingleFace(image, this.getDetectorOptions())
+                    .withFaceLandmarks(this.useTinyLandmarks())
+                    .withFaceDescriptor();
+                
+                if (result) {
+                    descriptors.push(result.descriptor);
+                } else {
+                    console.warn(`No face found in ${file.name}`);
+                }
+            }
+            
+            if (descriptors.length === 0) {
+                throw new Error('No face found in the selected photo');
+            }
+            
+            await this.enrollPerson(name, descriptors);
+        } catch (error) {
+            this.showToast('error', 'Enrollment Failed', error.message);
+        } finally {
+            this.isEnrolling = false;
+        }
+    }
+
+    /**
+     * Save a person to the gallery and refresh the matcher
+     */
+    async enrollPerson(name, descriptors) {
+        await this.gallery.add(name, descriptors);
+        await this.loadGallery();
+        
+        this.elements.enrollName.value = '';
+        this.showToast('success', 'Face Enrolled', `Saved ${descriptors.length} sample(s) to the gallery`);
+    }
+
+    /**
+     * Remove a person from the gallery
+     */
+    async removePerson(id) {
+        try {
+            await this.gallery.remove(id);
+            await this.loadGallery();
+        } catch (error) {
+            this.showToast('error', 'Remove Failed', error.message);
+        }
+    }
+
+    /**
+     * Replace each face's expressions with its calibrated ones (the raw scores
+     * stay in `rawExpressions`), so the emotion bars in updateEmotionData(),
+     * per-face emotions and rules all see the rescaled values
+     */
+    calibrateExpressions(detections) {
+        if (!this.settings.calibrationEnabled) return;
+        
+        detections.forEach(detection => {
+            if (!detection.expressions) return;
+            
+            const baseline = this.getEmotionBaseline(this.tracker.getTrack(detection.trackId));
+            if (!baseline) return;
+            
+            detection.rawExpressions = detection.expressions;
+            detection.expressions = EmotionCalibration.apply(detection.expressions, baseline);
+        });
+    }
+
+    /**
+     * An enrolled person's own baseline, otherwise the session's
+     */
+    getEmotionBaseline(track) {
+        if (track && track.identity) {
+            const person = this.galleryPeople.find(candidate => candidate.name === track.identity && candidate.baseline);
+            if (person) return person.baseline;
+        }
+        return this.sessionBaseline;
+    }
+
+    /**
+     * Open the calibration wizard at its first step
+     */
+    showCalibration() {
+        if (!this.isCameraActive) {
+            this.showToast('warning', 'Camera Not Active', 'Please turn on the camera first');
+            return;
+        }
+        
+        this.calibration = { stepIndex: 0, samples: {}, pending: null, capturing: false, identity: null };
+        this.elements.calibrationModal.classList.remove('hidden');
+        this.renderCalibration();
+    }
+
+    hideCalibration() {
+        this.calibration = null;
+        this.elements.calibrationModal.classList.add('hidden');
+    }
+
+    renderCalibration() {
+        const calibration = this.calibration;
+        if (!calibration) return;
+        
+        const step = CALIBRATION_STEPS[calibration.stepIndex];
+        this.elements.calibrationSteps.innerHTML = CALIBRATION_STEPS.map((candidate, index) => {
+            let state = index === calibration.stepIndex ? 'current' : '';
+            if (calibration.samples[candidate.id]) {
+                state = 'done';
+            } else if (index < calibration.stepIndex) {
+                state = 'skipped';
+            }
+            return `<li class="calibration-step${state ? ` ${state}` : ''}">${candidate.label}${candidate.optional ? ' (optional)' : ''}</li>`;
+        }).join('');
+        
+        this.elements.calibrationTarget.textContent = calibration.identity
+            ? `Saving for ${calibration.identity}, with their gallery entry`
+            : 'Saving for this session (recognized people keep their own baseline)';
+        this.elements.calibrationPrompt.textContent = step
+            ? step.prompt
+            : 'All done. Save to use the new baseline.';
+        this.elements.calibrationCaptureBtn.classList.toggle('hidden', !step);
+        this.elements.calibrationCaptureBtn.disabled = calibration.capturing;
+        this.elements.calibrationSkipBtn.classList.toggle('hidden', !step || !step.optional);
+        this.elements.calibrationSkipBtn.disabled = calibration.capturing;
+        this.elements.calibrationSaveBtn.disabled = calibration.capturing || !calibration.samples.neutral;
+    }
+
+    /**
+     * Record the current step for a few seconds, then move on to the next one
+     */
+    async captureCalibrationStep() {
+        const calibration = this.calibration;
+        const step = calibration && CALIBRATION_STEPS[calibration.stepIndex];
+        if (!step || calibration.capturing) return;
+        
+        if (this.lastDetections.length !== 1) {
+            this.showToast('warning', 'One Face Needed', 'Calibrate with exactly one face in view');
+            return;
+        }
+        
+        calibration.capturing = true;
+        calibration.pending = [];
+        this.renderCalibration();
+        
+        const start = performance.now();
+        while (performance.now() - start < CALIBRATION_CAPTURE_TIME) {
+            const progress = (performance.now() - start) / CALIBRATION_CAPTURE_TIME;
+            this.elements.calibrationProgress.style.width = `${Math.round(progress * 100)}%`;
+            await new Promise(resolve => setTimeout(resolve, 100));
+            // Closed meanwhile
+            if (this.calibration !== calibration) return;
+        }
+        
+        calibration.capturing = false;
+        this.elements.calibrationProgress.style.width = '0%';
+        if (calibration.pending.length < CALIBRATION_MIN_SAMPLES) {
+            this.showToast('warning', 'Not Enough Samples', 'Keep your face in view and try this step again');
+        } else {
+            calibration.samples[step.id] = calibration.pending;
+            calibration.stepIndex++;
+        }
+        calibration.pending = null;
+        this.renderCalibration();
+    }
+
+    skipCalibrationStep() {
+        const calibration = this.calibration;
+        const step = calibration && CALIBRATION_STEPS[calibration.stepIndex];
+        if (!step || !step.optional || calibration.capturing) return;
+        
+        calibration.stepIndex++;
+        this.renderCalibration();
+    }
+
+    /**
+     * Keep the raw expressions of the only face in view while a step is capturing
+     */
+    collectCalibrationSample(detections) {
+        const calibration = this.calibration;
+        if (!calibration || !calibration.capturing || detections.length !== 1) return;
+        
+        const detection = detections[0];
+        const expressions = detection.rawExpressions || detection.expressions;
+        if (!expressions || detection.reusedFacePasses) return;
+        
+        calibration.pending.push({ ...expressions });
+        const track = this.tracker.getTrack(detection.trackId);
+        if (track && track.identity && track.identity !== calibration.identity) {
+            calibration.identity = track.identity;
+            this.renderCalibration();
+        }
+    }
+
+    /**
+     * Store the baseline with the recognized person, or for this session
+     */
+    async saveCalibration() {
+        const calibration = this.calibration;
+        if (!calibration || !calibration.samples.neutral) return;
+        
+        const baseline = EmotionCalibration.build(calibration.samples);
+        const person = calibration.identity && this.galleryPeople.find(candidate => candidate.name === calibration.identity);
+        
+        try {
+            if (person) {
+                await this.gallery.update(person.id, { baseline });
+                await this.loadGallery();
+                this.showToast('success', 'Calibration Saved', `Emotion baseline saved for ${escapeHTML(person.name)}`);
+            } else {
+                this.sessionBaseline = baseline;
+                this.showToast('success', 'Calibration Saved', 'Emotion baseline applies until the page is closed');
+            }
+            this.hideCalibration();
+            this.updateCalibrationStatus();
+        } catch (error) {
+            this.showToast('error', 'Calibration Failed', error.message);
+        }
+    }
+
+    clearSessionBaseline() {
+        this.sessionBaseline = null;
+        this.updateCalibrationStatus();
+    }
+
+    async clearPersonBaseline(id) {
+        try {
+            await this.gallery.update(id, { baseline: null });
+            await this.loadGallery();
+            this.updateCalibrationStatus();
+        } catch (error) {
+            this.showToast('error', 'Clear Failed', error.message);
+        }
+    }
+
+    updateCalibrationStatus() {
+        const people = this.galleryPeople.filter(person => person.baseline).length;
+        const parts = [];
+        if (this.sessionBaseline) parts.push('this session');
+        if (people > 0) parts.push(`${people} ${people === 1 ? 'person' : 'people'}`);
+        this.elements.calibrationStatus.textContent = parts.length > 0 ? `Calibrated for ${parts.join(' and ')}` : 'Not calibrated';
+        this.elements.clearCalibrationBtn.disabled = !this.sessionBaseline;
+    }
+
+    /**
+     * Update detection UI elements
+     */
+    updateDetectionUI(detections) {
+        // Update face count
+        this.elements.faceCount.textContent = detections.length;
+        
+        // Update confidence (average of all detections)
+        let avgConfidence = 0;
+        if (detections.length > 0) {
+            const totalConfidence = detections.reduce((sum, det) => sum + det.detection.score, 0);
+            avgConfidence = (totalConfidence / detections.length) * 100;
+        }
+        this.elements.confidence.textContent = `${Math.round(avgConfidence)}%`;
+        this.updateAttentionUI(detections);
+        
+        // Show/hide no face message
+        if (detections.length === 0) {
+            this.elements.videoOverlay.classList.remove('hidden');
+        } else {
+            this.elements.videoOverlay.classList.add('hidden');
+        }
+        
+        // Update emotion data if enabled
+        if (this.settings.emotionDetectionEnabled && detections.length > 0) {
+            this.updateEmotionData(detections);
+        }
+        
+        this.updateFaceList();
+    }
+
+    /**
+     * Share of face-time spent looking at the camera, and who is looking now
+     */
+    updateAttentionUI(detections) {
+        const { attentive, total } = this.attentionTotals;
+        this.elements.attentionDisplay.textContent = total > 0 ? `${Math.round(attentive / total * 100)}%` : '--';
+        
+        const posed = detections.filter(detection => detection.pose);
+        if (posed.length === 0) {
+            this.elements.attentionStatus.textContent = 'No head pose';
+            return;
+        }
+        const looking = posed.filter(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            return track && track.attentive;
+        }).length;
+        this.elements.attentionStatus.textContent = `${looking} of ${posed.length} looking at camera`;
+    }
+
+    /**
+     * Update the list of tracked faces
+     */
+    updateFaceList() {
+        const tracks = this.tracker.getActiveTracks();
+        const now = performance.now();
+        
+        this.elements.faceList.innerHTML = '';
+        
+        if (tracks.length === 0) {
+            this.elements.faceList.innerHTML = '<div class="face-list-empty">No faces tracked</div>';
+            return;
+        }
+        
+        tracks.forEach(track => {
+            const item = document.createElement('div');
+            item.className = 'face-list-item';
+            item.dataset.trackId = track.id;
+            item.classList.toggle('exempt', Boolean(track.privacyExempt));
+            item.title = track.privacyExempt ? 'Shown in privacy mode; click to mask' : 'Click to show in privacy mode';
+            
+            const seconds = Math.round((now - track.firstSeen) / 1000);
+            const ageGender = this.describeAgeGender(track);
+            const attention = track.attention && track.attention.total > 0
+                ? ` · ${track.attentive ? '👀' : '↪'} ${Math.round(track.attention.attentive / track.attention.total * 100)}%`
+                : '';
+            item.innerHTML = `
+                <span class="face-list-id"></span>
+                <span class="face-list-meta">${ageGender ? `${ageGender} · ` : ''}${Math.round(track.score * 100)}% · ${seconds}s${attention}</span>
+                ${track.behavior ? `<span class="face-list-behavior">${this.describeBehavior(track.behavior)}</span>` : ''}
+            `;
+            item.querySelector('.face-list-id').textContent = this.getFaceLabel(track);
+            
+            this.elements.faceList.appendChild(item);
+        });
+    }
+
+    /**
+     * One-line blink and yawn summary for the face list
+     */
+    describeBehavior(behavior) {
+        const eyes = behavior.drowsy ? '😴 Drowsy' : behavior.eyesClosed ? '😑' : '👁';
+        const rate = behavior.blinkRate === null ? '' : ` (${Math.round(behavior.blinkRate)}/min)`;
+        const mouth = behavior.mouthOpen ? ' · 😮' : '';
+        return `${eyes} ${behavior.blinks} blinks${rate} · 🥱 ${behavior.yawns}${mouth}`;
+    }
+
+    /**
+     * Update emotion detection display
+     */
+    updateEmotionData(detections) {
+        // Reset emotion data
+        this.emotionData = {
+            happy: 0,
+            sad: 0,
+            angry: 0,
+            fearful: 0,
+            disgusted: 0,
+            surprised: 0,
+            neutral: 0
+        };
+        
+        // Aggregate emotions from all faces (already calibrated in analyzeFrame)
+        detections.forEach(detection => {
+            if (detection.expressions) {
+                this.emotionData.happy += detection.expressions.happy || 0;
+                this.emotionData.sad += detection.expressions.sad || 0;
+                this.emotionData.angry += detection.expressions.angry || 0;
+                this.emotionData.fearful += detection.expressions.fearful || 0;
+                this.emotionData.disgusted += detection.expressions.disgusted || 0;
+                this.emotionData.surprised += detection.expressions.surprised || 0;
+                this.emotionData.neutral += detection.expressions.neutral || 0;
+            }
+        });
+        
+        // Normalize by number of faces
+        if (detections.length > 0) {
+            Object.keys(this.emotionData).forEach(emotion => {
+                this.emotionData[emotion] /= detections.length;
+            });
+        }
+        
+        // Smooth the aggregate the same way as each face
+        const smoothed = this.emotionSmoother.update('aggregate', this.emotionData);
+        const previous = this.dominantEmotion;
+        this.emotionData = smoothed.values;
+        this.dominantEmotion = smoothed.dominant;
+        if (this.dominantEmotion !== previous) {
+            this.emit('emotionchange', { trackId: null, emotion: this.dominantEmotion, previous });
+        }
+        
+        // Update UI
+        this.updateEmotionUI();
+    }
+
+    /**
+     * Update emotion UI bars
+     */
+    updateEmotionUI() {
+        const dominantEmotion = this.dominantEmotion;
+        
+        Object.keys(this.emotionData).forEach(emotion => {
+            const emotionItem = this.elements.emotionGrid.querySelector(`[data-emotion="${emotion}"]`);
+            if (emotionItem) {
+                const fill = emotionItem.querySelector('.emotion-fill');
+                const percentage = Math.round(this.emotionData[emotion] * 100);
+                const percentageSpan = emotionItem.querySelector('.emotion-percentage');
+                
+                // Update bar width and percentage text
+                fill.style.width = `${percentage}%`;
+                percentageSpan.textContent = `${percentage}%`;
+                
+                // Highlight only the dominant emotion
+                emotionItem.classList.toggle('active', emotion === dominantEmotion);
+            }
+        });
+        
+        // Update header emotion status
+        if (dominantEmotion) {
+            this.elements.dominantEmoji.textContent = EMOTION_EMOJIS[dominantEmotion] || '😐';
+            this.elements.dominantEmotion.textContent = dominantEmotion;
+            this.elements.emotionStatus.classList.add('active');
+        } else {
+            // Default to neutral when no strong emotion detected
+            this.elements.dominantEmoji.textContent = '😐';
+            this.elements.dominantEmotion.textContent = 'Neutral';
+            this.elements.emotionStatus.classList.remove('active');
+        }
+    }
+
+    /**
+     * Draw detection overlays on canvas
+     */
+    drawDetections(detections) {
+        const canvas = this.elements.canvas;
+        const ctx = canvas.getContext('2d');
+        
+        // Set canvas size to match the source
+        const { width: mediaWidth, height: mediaHeight } = this.getMediaSize();
+        canvas.width = mediaWidth;
+        canvas.height = mediaHeight;
+        
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        // Masks go underneath the annotations so labels stay readable
+        const mirrored = this.isMirrored();
+        this.drawMirrored(ctx, mirrored, () => this.drawPrivacyMasks(ctx, this.privacyDetections));
+        
+        // Draw detections
+        const theme = this.getOverlayTheme();
+        detections.forEach(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            this.drawFaceOverlay(ctx, mirrored ? this.mirrorDetection(detection, mediaWidth) : detection, track, theme);
+        });
+    }
+
+    /**
+     * Selfie view flips camera sources only; files are shown the way they were recorded
+     */
+    isMirrored() {
+        return this.settings.mirrorView && this.sourceType === 'camera';
+    }
+
+    /**
+     * Flip the camera picture on screen; the overlay is flipped as it is drawn
+     */
+    applyMirrorView() {
+        this.elements.videoFrame.classList.toggle('mirrored', this.settings.mirrorView);
+        this.elements.cameraGrid.classList.toggle('mirrored', this.settings.mirrorView);
+    }
+
+    getOverlayTheme() {
+        return OVERLAY_THEMES[this.settings.overlayTheme] || OVERLAY_THEMES.classic;
+    }
+
+    /**
+     * Run `draw` with the canvas flipped horizontally when mirrored. Only
+     * pixels copied from the media go through here; annotations are drawn at
+     * mirrored coordinates instead, so their text stays readable.
+     */
+    drawMirrored(ctx, mirrored, draw) {
+        ctx.save();
+        if (mirrored) {
+            ctx.translate(ctx.canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        draw();
+        ctx.restore();
+    }
+
+    /**
+     * Copy of a detection with its box, landmarks and head pose flipped
+     * horizontally within a frame `width` wide
+     */
+    mirrorDetection(detection, width) {
+        const flip = point => ({ x: width - point.x, y: point.y });
+        const { x, y, width: boxWidth, height } = detection.detection.box;
+        
+        return {
+            ...detection,
+            mirrored: true,
+            detection: {
+                box: { x: width - x - boxWidth, y, width: boxWidth, height },
+                score: detection.detection.score
+            },
+            landmarks: detection.landmarks
+                ? { positions: detection.landmarks.positions.map(flip) }
+                : detection.landmarks,
+            pose: detection.pose
+                ? {
+                    ...detection.pose,
+                    origin: flip(detection.pose.origin),
+                    axes: Object.fromEntries(Object.entries(detection.pose.axes).map(([axis, end]) => [axis, flip(end)]))
+                }
+                : detection.pose
+        };
+    }
+
+    /**
+     * One face's annotations, in layer order: box, label strips, landmarks,
+     * expression bars and head pose. Each layer has its own setting.
+     */
+    drawFaceOverlay(ctx, detection, track, theme) {
+        // Emoji mode replaces the whole annotation with a sticker over the face
+        if (this.settings.overlayMode === 'emoji') {
+            this.drawFaceSticker(ctx, detection, track);
+            return;
+        }
+        
+        const { x, y, width, height } = detection.detection.box;
+        if (this.settings.overlayBoxes) {
+            ctx.strokeStyle = theme.box;
+            ctx.lineWidth = theme.lineWidth;
+            ctx.strokeRect(x, y, width, height);
+        }
+        
+        this.drawFaceLabel(ctx, detection, track, theme);
+        
+        if (this.settings.overlayLabels) {
+            this.drawEmotionLabel(ctx, detection, track, theme);
+        }
+        if (detection.landmarks && this.settings.overlayLandmarks !== 'off') {
+            this.drawLandmarks(ctx, detection.landmarks.positions, theme);
+        }
+        if (this.settings.overlayExpressionBars) {
+            this.drawExpressionBars(ctx, detection, track, theme);
+        }
+        if (detection.pose && this.settings.headPoseAxes) {
+            this.drawHeadPose(ctx, detection, track);
+        }
+    }
+
+    /**
+     * Strip above the box with the name and/or detection confidence
+     */
+    drawFaceLabel(ctx, detection, track, theme) {
+        const parts = [];
+        if (this.settings.overlayLabels) {
+            const ageGender = this.describeAgeGender(track);
+            parts.push(`${this.getFaceLabel(track)}${ageGender ? ` · ${ageGender}` : ''}`);
+        }
+        if (this.settings.overlayConfidence) {
+            const confidence = `${Math.round(detection.detection.score * 100)}%`;
+            parts.push(parts.length > 0 ? `(${confidence})` : confidence);
+        }
+        if (parts.length === 0) return;
+        
+        const { x, y, width } = detection.detection.box;
+        ctx.fillStyle = theme.labelBackground;
+        ctx.fillRect(x, y - 30, width, 25);
+        ctx.fillStyle = theme.labelText;
+        ctx.font = '16px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(parts.join(' '), x + width / 2, y - 10);
+    }
+
+    /**
+     * Strip below the box with the face's dominant emotion
+     */
+    drawEmotionLabel(ctx, detection, track, theme) {
+        if (!this.settings.emotionDetectionEnabled || !track || !track.emotion || !track.emotion.dominant) return;
+        
+        const { values: emotions, dominant: topEmotion } = track.emotion;
+        const { x, y, width, height } = detection.detection.box;
+        
+        ctx.fillStyle = theme.emotionBackground;
+        ctx.fillRect(x, y + height, width, 35);
+        
+        ctx.font = '20px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(EMOTION_EMOJIS[topEmotion] || '😐', x + 5, y + height + 25);
+        
+        ctx.fillStyle = theme.emotionText;
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(
+            `${topEmotion} (${Math.round(emotions[topEmotion] * 100)}%)`,
+            x + width / 2,
+            y + height + 25
+        );
+    }
+
+    /**
+     * The 68 landmarks as dots, or as lines tracing each facial region
+     */
+    drawLandmarks(ctx, positions, theme) {
+        ctx.save();
+        if (this.settings.overlayLandmarks === 'contours') {
+            ctx.strokeStyle = theme.landmarks;
+            ctx.lineWidth = theme.lineWidth > 3 ? 2 : 1.5;
+            ctx.lineJoin = 'round';
+            LANDMARK_REGIONS.forEach(region => {
+                const points = positions.slice(region.from, region.to + 1);
+                ctx.beginPath();
+                points.forEach((point, index) => {
+                    if (index === 0) {
+                        ctx.moveTo(point.x, point.y);
+                    } else {
+                        ctx.lineTo(point.x, point.y);
+                    }
+                });
+                if (region.closed) ctx.closePath();
+                ctx.stroke();
+            });
+        } else {
+            ctx.fillStyle = theme.landmarks;
+            const radius = theme.lineWidth > 3 ? 2 : 1;
+            positions.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+        ctx.restore();
+    }
+
+    /**
+     * A small bar chart of the face's smoothed expressions beside its box,
+     * on the right unless that would run off the canvas
+     */
+    drawExpressionBars(ctx, detection, track, theme) {
+        if (!this.settings.emotionDetectionEnabled || !track || !track.emotion) return;
+        
+        const { x, y, width } = detection.detection.box;
+        const rowHeight = 14;
+        const barWidth = 80;
+        const panelWidth = barWidth + 34;
+        const panelHeight = EMOTIONS.length * rowHeight + 8;
+        const left = x + width + 8 + panelWidth <= ctx.canvas.width ? x + width + 8 : Math.max(0, x - 8 - panelWidth);
+        
+        ctx.save();
+        ctx.fillStyle = theme.panel;
+        ctx.fillRect(left, y, panelWidth, panelHeight);
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        EMOTIONS.forEach((emotion, index) => {
+            const rowY = y + 4 + index * rowHeight;
+            const value = Math.max(0, Math.min(1, track.emotion.values[emotion] || 0));
+            ctx.fillText(EMOTION_EMOJIS[emotion], left + 4, rowY + rowHeight / 2);
+            ctx.fillStyle = theme.barTrack;
+            ctx.fillRect(left + 26, rowY + 3, barWidth, rowHeight - 6);
+            ctx.fillStyle = theme.bars || EMOTION_COLORS[emotion];
+            ctx.fillRect(left + 26, rowY + 3, barWidth * value, rowHeight - 6);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Head pose axes from the nose tip (x red, y green, z blue) and, in the box
+     * corner, an eyes marker while the face is looking at the camera
+     */
+    drawHeadPose(ctx, detection, track) {
+        const { origin, axes } = detection.pose;
+        const colors = { x: '#ef4444', y: '#10b981', z: '#3b82f6' };
+        
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        Object.entries(axes).forEach(([axis, end]) => {
+            ctx.strokeStyle = colors[axis];
+            ctx.beginPath();
+            ctx.moveTo(origin.x, origin.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        });
+        
+        if (track && track.attentive) {
+            const { x, y, width } = detection.detection.box;
+            ctx.font = '18px Arial';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText('👀', x + width - 4, y + 4);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Paint the emoji (or custom sticker) for a face's current emotion over the face
+     */
+    drawFaceSticker(ctx, detection, track) {
+        const emotion = (this.settings.emotionDetectionEnabled && track && track.emotion && track.emotion.dominant) || 'neutral';
+        const { center, angle, size } = this.getStickerPlacement(detection);
+        const sticker = this.stickers[emotion];
+        
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.rotate(angle);
+        
+        if (sticker && sticker.complete) {
+            ctx.drawImage(sticker, -size / 2, -size / 2, size, size);
+        } else {
+            ctx.font = `${Math.round(size)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(EMOTION_EMOJIS[emotion] || '😐', 0, 0);
+        }
+        
+        ctx.restore();
+    }
+
+    /**
+     * Where to put a face sticker: roll from the eye line, size from the jaw width.
+     * Without landmarks the sticker is centered upright on the box.
+     */
+    getStickerPlacement(detection) {
+        const { x, y, width, height } = detection.detection.box;
+        if (!detection.landmarks) {
+            return {
+                center: { x: x + width / 2, y: y + height / 2 },
+                angle: 0,
+                size: Math.max(width, height) * 1.2
+            };
+        }
+        
+        // 68-point layout: jaw 0-16 (chin at 8), left eye 36-41, right eye 42-47
+        const points = detection.landmarks.positions;
+        const average = (from, to) => {
+            const slice = points.slice(from, to + 1);
+            return {
+                x: slice.reduce((sum, point) => sum + point.x, 0) / slice.length,
+                y: slice.reduce((sum, point) => sum + point.y, 0) / slice.length
+            };
+        };
+        
+        const leftEye = average(36, 41);
+        const rightEye = average(42, 47);
+        const eyeCenter = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+        const chin = points[8];
+        const jawWidth = Math.hypot(points[16].x - points[0].x, points[16].y - points[0].y);
+        // The eyes swap sides in a mirrored detection
+        const [first, second] = detection.mirrored ? [rightEye, leftEye] : [leftEye, rightEye];
+        
+        return {
+            // Halfway between the eyes and the chin sits close to the nose tip
+            center: { x: (eyeCenter.x + chin.x) / 2, y: (eyeCenter.y + chin.y) / 2 },
+            angle: Math.atan2(second.y - first.y, second.x - first.x),
+            size: jawWidth * 1.4
+        };
+    }
+
+    /**
+     * Whether privacy mode hides this face: every face, or only those neither enrolled nor selected
+     */
+    shouldObscureFace(track) {
+        if (this.settings.privacyMode === 'off') return false;
+        if (this.settings.privacyScope === 'all' || !track) return true;
+        return !track.identity && !track.privacyExempt;
+    }
+
+    /**
+     * Spare or mask a tracked face in "all but known faces" privacy scope
+     */
+    togglePrivacyExempt(trackId) {
+        const track = this.tracker.getTrack(trackId);
+        if (!track) return;
+        
+        track.privacyExempt = !track.privacyExempt;
+        this.updateFaceList();
+        this.redrawOverlay();
+    }
+
+    /**
+     * Padded face box in media coordinates, clipped to the frame
+     */
+    getPrivacyRegion(box, mediaWidth, mediaHeight, padding = this.settings.privacyPadding) {
+        const padX = box.width * padding;
+        const padY = box.height * padding;
+        const x = Math.max(0, Math.floor(box.x - padX));
+        const y = Math.max(0, Math.floor(box.y - padY));
+        return {
+            x,
+            y,
+            width: Math.min(mediaWidth, Math.ceil(box.x + box.width + padX)) - x,
+            height: Math.min(mediaHeight, Math.ceil(box.y + box.height + padY)) - y
         };
+    }
+
+    /**
+     * Whether the source keeps moving after a detection: the camera or a playing video
+     */
+    isMediaLive() {
+        if (this.sourceType === 'camera') return this.isCameraActive;
+        return this.sourceType === 'video' && !this.elements.video.paused && !this.elements.video.ended;
+    }
+
+    /**
+     * Cover faces with a blurred or pixelated copy of the frame beneath them.
+     * Each face is shrunk to a handful of blocks and scaled back up: smoothed
+     * that reads as a blur, unsmoothed as pixelation. Faces the tracker lost
+     * for a moment are masked where they were last seen, and on a live source
+     * masks grow with the time since detection so a moving face stays covered.
+     * `scale` maps media coordinates onto the target canvas; grid view passes
+     * its camera's `media`, `size`, `tracker` and `detectedAt`.
+     */
+    drawPrivacyMasks(ctx, detections, options = {}) {
+        if (this.settings.privacyMode === 'off') return;
+        
+        const {
+            scale = 1,
+            media = this.getMediaElement(),
+            size = this.getMediaSize(),
+            tracker = this.tracker,
+            detectedAt = this.lastDetectionTime,
+            live = this.isMediaLive()
+        } = options;
+        
+        const detected = new Set(detections.map(detection => detection.trackId));
+        const faces = [
+            ...detections.map(detection => ({
+                box: detection.detection.box,
+                track: tracker.getTrack(detection.trackId),
+                seenAt: detectedAt
+            })),
+            ...tracker.getTracks()
+                .filter(track => !detected.has(track.id) && track.box)
+                .map(track => ({ box: track.box, track, seenAt: track.lastSeen }))
+        ];
+        if (faces.length === 0) return;
+        
+        const now = performance.now();
+        const { width: mediaWidth, height: mediaHeight } = size;
+        if (!this.privacyCanvas) {
+            this.privacyCanvas = document.createElement('canvas');
+        }
+        const scratch = this.privacyCanvas;
+        const scratchCtx = scratch.getContext('2d');
+        // Strength 1 leaves about 16 blocks across a face, 10 leaves 3
+        const blocks = Math.max(3, Math.round(18 - this.settings.privacyStrength * 1.5));
+        
+        faces.forEach(({ box, track, seenAt }) => {
+            if (!this.shouldObscureFace(track)) return;
+            
+            const elapsed = live ? Math.min(Math.max(0, now - seenAt), 1000) / 1000 : 0;
+            const padding = this.settings.privacyPadding + PRIVACY_PADDING_GROWTH * elapsed;
+            const region = this.getPrivacyRegion(box, mediaWidth, mediaHeight, padding);
+            if (region.width <= 0 || region.height <= 0) return;
+            
+            const blockSize = Math.max(region.width, region.height) / blocks;
+            const blockWidth = Math.max(1, Math.round(region.width / blockSize));
+            const blockHeight = Math.max(1, Math.round(region.height / blockSize));
+            scratch.width = blockWidth;
+            scratch.height = blockHeight;
+            scratchCtx.imageSmoothingEnabled = true;
+            scratchCtx.drawImage(media, region.x, region.y, region.width, region.height, 0, 0, blockWidth, blockHeight);
+            
+            ctx.save();
+            ctx.imageSmoothingEnabled = this.settings.privacyMode === 'blur';
+            ctx.drawImage(scratch, 0, 0, blockWidth, blockHeight,
+                region.x * scale, region.y * scale, region.width * scale, region.height * scale);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Redraw the last detections, e.g. after an overlay setting changed while paused
+     */
+    redrawOverlay() {
+        if (this.hasActiveSource()) {
+            this.drawDetections(this.lastDetections);
+        }
+    }
+
+    /**
+     * Faces as rules see them, with smoothed expressions where the track has them
+     */
+    getRuleFaces(detections, tracker = this.tracker) {
+        return detections.map(detection => {
+            const track = tracker.getTrack(detection.trackId);
+            return {
+                trackId: detection.trackId,
+                expressions: track && track.emotion ? track.emotion.values : detection.expressions || null
+            };
+        });
+    }
+
+    /**
+     * Check the rules against a frame's faces and run whatever fires
+     */
+    evaluateRules(faces, timestamp = performance.now()) {
+        if (this.settings.rules.length === 0) return;
         
-        // Face detection data
-        this.lastDetections = [];
-        this.emotionData = {
-            happy: 0,
-            sad: 0,
-            angry: 0,
-            fearful: 0,
-            disgusted: 0,
-            surprised: 0,
-            neutral: 0
-        };
+        const fired = this.rulesEngine.evaluate(this.settings.rules, { faceCount: faces.length, faces }, timestamp);
+        fired.forEach(rule => this.runRuleAction(rule, faces));
+    }
+
+    runRuleAction(rule, faces) {
+        const description = RulesEngine.describe(rule);
+        this.emit('rulefired', { ruleId: rule.id, action: rule.action, description });
         
-        // DOM elements
-        this.elements = {};
+        if (this.cameraGrid && SINGLE_VIEW_RULE_ACTIONS.includes(rule.action)) {
+            this.showToast('warning', 'Rule Skipped', `${RULE_ACTIONS[rule.action]} only works in the single view`);
+            return;
+        }
         
-        // Initialize the application
-        this.init();
+        switch (rule.action) {
+            case 'screenshot':
+                this.captureScreenshot();
+                break;
+            case 'toast': {
+                // Messages are user input and may come from an imported file
+                const message = escapeHTML(rule.message || description);
+                this.showToast('info', 'Rule Triggered', message);
+                break;
+            }
+            case 'sound':
+                this.playAlertSound();
+                break;
+            case 'startRecording':
+                if (!this.videoRecorder.isRecording) this.startVideoRecording();
+                break;
+            case 'stopRecording':
+                this.stopVideoRecording();
+                break;
+            case 'webhook':
+                this.postRuleWebhook(rule, faces);
+                break;
+        }
     }
 
     /**
-     * Initialize the application
+     * POST the rule and the frame's faces as JSON to the rule's webhook
      */
-    async init() {
+    async postRuleWebhook(rule, faces) {
+        if (!RulesEngine.isLocalUrl(rule.url)) {
+            this.showToast('warning', 'Webhook Blocked', 'Rule webhooks must point to localhost or the local network');
+            return;
+        }
+        
         try {
-            console.log('Initializing FaceMoji...');
-            this.initDOMElements();
-            this.setupEventListeners();
-            
-            // Add timeout for model loading
-            const modelLoadPromise = this.loadModels();
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Model loading timeout after 30 seconds')), 30000);
+            const response = await fetch(rule.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    rule: { id: rule.id, description: RulesEngine.describe(rule) },
+                    faceCount: faces.length,
+                    faces,
+                    timestamp: new Date().toISOString()
+                })
             });
-            
-            await Promise.race([modelLoadPromise, timeoutPromise]);
-            
-            await this.setupCamera();
-            this.showApp();
-            this.showToast('success', 'FaceMoji Ready', 'Face detection is now active!');
-            
+            if (!response.ok) {
+                throw new Error(`The webhook answered with status ${response.status}`);
+            }
         } catch (error) {
-            console.error('Initialization error:', error);
-            this.handleInitializationError(error);
+            this.reportError('Rule webhook failed', error);
+            this.showToast('error', 'Webhook Failed', error.message);
         }
     }
 
     /**
-     * Handle initialization errors with user-friendly messages
+     * Rebuild the rules editor from the settings
      */
-    handleInitializationError(error) {
-        let errorMessage = error.message;
-        let troubleshootingTips = '';
+    renderRuleList() {
+        const list = this.elements.ruleList;
+        list.innerHTML = '';
         
-        if (error.message.includes('Model loading timeout')) {
-            errorMessage = 'Model loading is taking too long';
-            troubleshootingTips = 'Please check your internet connection and try refreshing the page.';
-        } else if (error.message.includes('Cannot access face detection models')) {
-            errorMessage = 'Cannot download face detection models';
-            troubleshootingTips = 'Please check your internet connection and ensure CDNs are not blocked.';
-        } else if (error.message.includes('Camera setup failed')) {
-            errorMessage = 'Camera access failed';
-            troubleshootingTips = 'Please grant camera permission and ensure no other apps are using the camera.';
+        if (this.settings.rules.length === 0) {
+            list.innerHTML = '<div class="rule-empty">No rules yet</div>';
+            return;
         }
         
-        // Update loading screen with error
-        this.elements.loadingProgress.style.width = '0%';
-        this.elements.loadingProgress.style.background = '#ef4444';
-        this.elements.loadingText.innerHTML = `
-            <div style="color: #ef4444; margin-bottom: 10px;">❌ ${errorMessage}</div>
-            <div style="font-size: 12px; color: #9ca3af;">${troubleshootingTips}</div>
-            <button onclick="location.reload()" style="
-                margin-top: 15px; 
-                padding: 8px 16px; 
-                background: #6366f1; 
-                color: white; 
-                border: none; 
-                border-radius: 6px; 
-                cursor: pointer;
-                font-size: 14px;
-            ">Try Again</button>
-        `;
+        const emotionOptions = EMOTIONS.map(emotion => `<option value="${emotion}">${emotion}</option>`).join('');
+        const actionOptions = Object.entries(RULE_ACTIONS)
+            .map(([action, label]) => `<option value="${action}">${label}</option>`)
+            .join('');
         
-        this.showToast('error', 'Initialization Failed', errorMessage);
+        this.settings.rules.forEach(rule => {
+            const isEmotion = rule.trigger === 'emotion';
+            const item = document.createElement('div');
+            item.className = rule.enabled ? 'rule-item' : 'rule-item disabled';
+            item.dataset.ruleId = rule.id;
+            item.innerHTML = `
+                <div class="rule-row">
+                    <input type="checkbox" data-field="enabled" title="Enabled">
+                    <select class="rule-select" data-field="trigger">
+                        <option value="emotion">Any face</option>
+                        <option value="faceCount">Face count</option>
+                    </select>
+                    <select class="rule-select${isEmotion ? '' : ' hidden'}" data-field="emotion">${emotionOptions}</select>
+                    <select class="rule-select" data-field="operator">
+                        <option value=">">&gt;</option>
+                        <option value="<">&lt;</option>
+                        ${isEmotion ? '' : '<option value="=">=</option>'}
+                    </select>
+                    <input type="number" class="rule-number" data-field="value"
+                        min="0" max="${isEmotion ? 1 : 10}" step="${isEmotion ? 0.05 : 1}">
+                    <span>for</span>
+                    <input type="number" class="rule-number" data-field="duration" min="0" max="600" step="0.5">
+                    <span>s</span>
+                </div>
+                <div class="rule-row">
+                    <span>then</span>
+                    <select class="rule-select" data-field="action">${actionOptions}</select>
+                    <input type="text" class="rule-text${rule.action === 'toast' ? '' : ' hidden'}" data-field="message"
+                        placeholder="Toast message" maxlength="200">
+                    <input type="url" class="rule-text${rule.action === 'webhook' ? '' : ' hidden'}" data-field="url"
+                        placeholder="http://localhost:8080/facemoji">
+                    <button class="rule-remove" data-rule-remove title="Remove rule">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+            
+            // Messages and URLs are user input, so they are set as values rather than markup
+            ['trigger', 'emotion', 'operator', 'value', 'duration', 'action', 'message', 'url'].forEach(field => {
+                item.querySelector(`[data-field="${field}"]`).value = rule[field];
+            });
+            item.querySelector('[data-field="enabled"]').checked = rule.enabled;
+            list.appendChild(item);
+        });
+    }
+
+    addRule() {
+        if (this.settings.rules.length >= MAX_RULES) {
+            this.showToast('warning', 'Too Many Rules', `Up to ${MAX_RULES} rules can be saved`);
+            return;
+        }
+        
+        const rule = RulesEngine.sanitizeRule({ trigger: 'emotion', emotion: 'happy', operator: '>', value: 0.8, duration: 2, action: 'toast' });
+        this.settings.rules = [...this.settings.rules, rule];
+        this.renderRuleList();
+        // Add and remove are clicks, which the settings modal's change listener never sees
+        this.saveSettings();
     }
 
     /**
-     * Get references to DOM elements
+     * Apply one edited field; switching the trigger resets the comparison to
+     * that trigger's default
      */
-    initDOMElements() {
-        this.elements = {
-            // Main containers
-            loadingScreen: document.getElementById('loadingScreen'),
-            appContainer: document.getElementById('appContainer'),
-            loadingProgress: document.getElementById('loadingProgress'),
-            loadingText: document.getElementById('loadingText'),
-            
-            // Video elements
-            video: document.getElementById('videoElement'),
-            canvas: document.getElementById('overlayCanvas'),
-            videoOverlay: document.getElementById('videoOverlay'),
-            noFaceMessage: document.getElementById('noFaceMessage'),
-            
-            // Status elements
-            cameraStatus: document.getElementById('cameraStatus'),
-            statusText: document.getElementById('statusText'),
-            emotionStatus: document.getElementById('emotionStatus'),
-            dominantEmoji: document.getElementById('dominantEmoji'),
-            dominantEmotion: document.getElementById('dominantEmotion'),
-            faceCount: document.getElementById('faceCount'),
-            confidence: document.getElementById('confidence'),
-            fpsDisplay: document.getElementById('fpsDisplay'),
-            emotionGrid: document.getElementById('emotionGrid'),
-            
-            // Controls
-            toggleCamera: document.getElementById('toggleCamera'),
-            captureBtn: document.getElementById('captureBtn'),
-            fullscreenBtn: document.getElementById('fullscreenBtn'),
-            settingsBtn: document.getElementById('settingsBtn'),
-            
-            // Settings modal
-            settingsModal: document.getElementById('settingsModal'),
-            closeSettings: document.getElementById('closeSettings'),
-            cameraSelect: document.getElementById('cameraSelect'),
-            sensitivityRange: document.getElementById('sensitivityRange'),
-            sensitivityValue: document.getElementById('sensitivityValue'),
-            maxFacesRange: document.getElementById('maxFacesRange'),
-            maxFacesValue: document.getElementById('maxFacesValue'),
-            emotionDetection: document.getElementById('emotionDetection'),
+    updateRule(ruleId, field, value) {
+        this.settings.rules = this.settings.rules.map(rule => {
+            if (rule.id !== ruleId) return rule;
             
-            // Toast container
-            toastContainer: document.getElementById('toastContainer')
-        };
+            const edited = { ...rule, [field]: value };
+            if (field === 'trigger') {
+                edited.operator = value === 'emotion' ? '>' : '=';
+                edited.value = value === 'emotion' ? 0.8 : 0;
+            }
+            return RulesEngine.sanitizeRule(edited);
+        });
+        this.rulesEngine.forget(ruleId);
+        this.renderRuleList();
+        this.saveSettings();
+    }
+
+    removeRule(ruleId) {
+        this.settings.rules = this.settings.rules.filter(rule => rule.id !== ruleId);
+        this.rulesEngine.forget(ruleId);
+        this.renderRuleList();
+        this.saveSettings();
     }
 
     /**
-     * Set up event listeners
+     * Load custom stickers saved in localStorage
      */
-    setupEventListeners() {
-        // Camera toggle
-        this.elements.toggleCamera.addEventListener('click', () => this.toggleCamera());
-        
-        // Capture screenshot
-        this.elements.captureBtn.addEventListener('click', () => this.captureScreenshot());
-        
-        // Fullscreen toggle
-        this.elements.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
-        
-        // Settings modal
-        this.elements.settingsBtn.addEventListener('click', () => this.showSettings());
-        this.elements.closeSettings.addEventListener('click', () => this.hideSettings());
+    loadStickers() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('facemoji-stickers')) || {};
+        } catch (error) {
+            // Missing or unreadable storage just means no custom stickers
+        }
         
-        // Settings controls
-        this.elements.sensitivityRange.addEventListener('input', (e) => {
-            this.settings.detectionSensitivity = parseFloat(e.target.value);
-            this.elements.sensitivityValue.textContent = e.target.value;
+        this.stickers = {};
+        Object.entries(saved).forEach(([emotion, dataUrl]) => {
+            if (!EMOTIONS.includes(emotion)) return;
+            const image = new Image();
+            image.src = dataUrl;
+            this.stickers[emotion] = image;
         });
-        
-        this.elements.maxFacesRange.addEventListener('input', (e) => {
-            this.settings.maxFaces = parseInt(e.target.value);
-            this.elements.maxFacesValue.textContent = e.target.value;
+        this.renderStickerList();
+    }
+
+    saveStickers() {
+        const saved = {};
+        Object.entries(this.stickers).forEach(([emotion, image]) => {
+            saved[emotion] = image.src;
         });
         
-        this.elements.emotionDetection.addEventListener('change', (e) => {
-            this.settings.emotionDetectionEnabled = e.target.checked;
-        });
+        try {
+            localStorage.setItem('facemoji-stickers', JSON.stringify(saved));
+        } catch (error) {
+            this.showToast('warning', 'Sticker Not Saved', 'Stickers will reset when the page reloads');
+        }
+    }
+
+    /**
+     * Use an uploaded image as an emotion's sticker, shrunk to keep storage small
+     */
+    async setSticker(emotion, file) {
+        if (!file.type.startsWith('image/')) {
+            this.showToast('error', 'Unsupported File', 'Choose an image for the sticker');
+            return;
+        }
         
-        this.elements.cameraSelect.addEventListener('change', (e) => {
-            this.settings.preferredCamera = e.target.value;
-            this.switchCamera(e.target.value);
-        });
+        try {
+            const bitmap = await createImageBitmap(file);
+            const maxSize = 256;
+            const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+            
+            // Square canvas so stickers are not stretched when drawn over a face
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = Math.round(Math.max(bitmap.width, bitmap.height) * scale);
+            const drawWidth = bitmap.width * scale;
+            const drawHeight = bitmap.height * scale;
+            canvas.getContext('2d').drawImage(
+                bitmap,
+                (canvas.width - drawWidth) / 2,
+                (canvas.height - drawHeight) / 2,
+                drawWidth,
+                drawHeight
+            );
+            bitmap.close();
+            
+            const image = new Image();
+            image.src = canvas.toDataURL('image/png');
+            this.stickers[emotion] = image;
+            this.saveStickers();
+            this.renderStickerList();
+            this.redrawOverlay();
+        } catch (error) {
+            this.showToast('error', 'Sticker Failed', `Could not read ${escapeHTML(file.name)}`);
+        }
+    }
+
+    removeSticker(emotion) {
+        delete this.stickers[emotion];
+        this.saveStickers();
+        this.renderStickerList();
+        this.redrawOverlay();
+    }
+
+    /**
+     * Show each emotion's sticker with upload and reset buttons
+     */
+    renderStickerList() {
+        const list = this.elements.stickerList;
+        list.innerHTML = '';
         
-        // Modal click outside to close
-        this.elements.settingsModal.addEventListener('click', (e) => {
-            if (e.target === this.elements.settingsModal) {
-                this.hideSettings();
+        EMOTIONS.forEach(emotion => {
+            const sticker = this.stickers[emotion];
+            const item = document.createElement('div');
+            item.className = 'sticker-item';
+            item.innerHTML = `
+                <button class="sticker-preview" data-sticker-upload="${emotion}" title="Upload ${emotion} sticker">
+                    ${sticker ? '' : EMOTION_EMOJIS[emotion]}
+                </button>
+                <span class="sticker-name">${emotion}</span>
+                ${sticker ? `<button class="gallery-remove" data-sticker-reset="${emotion}" title="Use emoji"><i class="fas fa-undo"></i></button>` : ''}
+            `;
+            if (sticker) {
+                const preview = document.createElement('img');
+                preview.src = sticker.src;
+                preview.alt = `${emotion} sticker`;
+                item.querySelector('.sticker-preview').appendChild(preview);
             }
+            list.appendChild(item);
         });
+    }
+
+    /**
+     * Start or stop recording the emotion timeline
+     */
+    toggleSessionRecording() {
+        const recorder = this.sessionRecorder;
         
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.hideSettings();
-            } else if (e.key === ' ') {
-                e.preventDefault();
-                this.captureScreenshot();
-            } else if (e.key === 'f' || e.key === 'F') {
-                this.toggleFullscreen();
-            }
-        });
+        if (recorder.isRecording) {
+            recorder.stop();
+            this.elements.recordSessionBtn.classList.remove('recording');
+            this.elements.recordSessionBtn.innerHTML = '<i class="fas fa-circle"></i><span>Record</span>';
+            this.showToast('success', 'Session Recorded', `${recorder.samples.length} samples captured`);
+        } else {
+            recorder.start();
+            this.elements.recordSessionBtn.classList.add('recording');
+            this.elements.recordSessionBtn.innerHTML = '<i class="fas fa-stop"></i><span>Stop</span>';
+        }
         
-        // Handle page visibility changes
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pauseDetection();
-            } else {
-                this.resumeDetection();
-            }
-        });
+        this.elements.exportCsvBtn.disabled = recorder.isRecording || recorder.samples.length === 0;
+        this.elements.exportJsonBtn.disabled = this.elements.exportCsvBtn.disabled;
+        this.renderTimeline();
     }
 
     /**
-     * Load face detection models
+     * Add the current frame to the session recording
      */
-    async loadModels() {
-        try {
-            this.updateLoadingProgress(10, 'Loading face detection models...');
-            
-            // Try multiple CDN sources for better reliability
-            const modelPaths = [
-                'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights',
-                'https://unpkg.com/face-api.js@0.22.2/weights',
-                'https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@0.22.2/weights',
-                './models' // Local fallback
-            ];
-            
-            let modelPath = null;
-            let lastError = null;
-            
-            // Test which CDN is accessible
-            for (const path of modelPaths) {
-                try {
-                    console.log(`Testing model path: ${path}`);
-                    this.updateLoadingProgress(15, `Testing ${path}...`);
-                    
-                    // Test if we can reach the CDN with a simpler approach
-                    const testUrl = `${path}/tiny_face_detector_model-weights_manifest.json`;
-                    console.log(`Testing URL: ${testUrl}`);
-                    
-                    // Create timeout promise
-                    const timeoutPromise = new Promise((_, reject) => {
-                        setTimeout(() => reject(new Error('Timeout after 10 seconds')), 10000);
-                    });
-                    
-                    const fetchPromise = fetch(testUrl, {
-                        method: 'GET',
-                        cache: 'no-cache'
-                    });
-                    
-                    const testResponse = await Promise.race([fetchPromise, timeoutPromise]);
-                    
-                    if (testResponse.ok || testResponse.status === 200) {
-                        modelPath = path;
-                        console.log(`Successfully connected to: ${path}`);
-                        break;
-                    } else {
-                        console.warn(`HTTP ${testResponse.status} for ${path}`);
-                    }
-                } catch (error) {
-                    console.warn(`Failed to connect to ${path}:`, error.message);
-                    lastError = error;
-                    continue;
-                }
-            }
-            
-            if (!modelPath) {
-                throw new Error(`Cannot access face detection models. Please check your internet connection. Last error: ${lastError?.message}`);
-            }
-            
-            this.updateLoadingProgress(20, 'Downloading models...');
-            
-            // Load core models with better error handling
-            console.log('Loading TinyFaceDetector...');
-            await faceapi.nets.tinyFaceDetector.loadFromUri(modelPath);
-            this.updateLoadingProgress(40, 'Face detection model loaded...');
-            
-            console.log('Loading FaceLandmark68Net...');
-            await faceapi.nets.faceLandmark68Net.loadFromUri(modelPath);
-            this.updateLoadingProgress(60, 'Facial landmarks model loaded...');
-            
-            console.log('Loading FaceRecognitionNet...');
-            await faceapi.nets.faceRecognitionNet.loadFromUri(modelPath);
-            this.updateLoadingProgress(80, 'Face recognition model loaded...');
-            
-            console.log('Loading FaceExpressionNet...');
-            await faceapi.nets.faceExpressionNet.loadFromUri(modelPath);
-            this.updateLoadingProgress(95, 'Expression recognition model loaded...');
-            
-            this.isModelLoaded = true;
-            this.updateLoadingProgress(100, 'All models loaded successfully!');
-            console.log('All face detection models loaded successfully!');
-            
-        } catch (error) {
-            console.error('Model loading error:', error);
-            this.updateLoadingProgress(0, `Error: ${error.message}`);
-            throw new Error(`Failed to load models: ${error.message}`);
+    recordSessionSample(detections) {
+        if (!this.sessionRecorder.isRecording && !this.clipTimeline.isRecording) return;
+        
+        const faces = detections.map(detection => ({
+            trackId: detection.trackId,
+            label: this.getFaceLabel(this.tracker.getTrack(detection.trackId)),
+            confidence: detection.detection.score,
+            expressions: detection.expressions
+        }));
+        
+        this.clipTimeline.record(faces);
+        if (!this.sessionRecorder.isRecording) return;
+        
+        this.sessionRecorder.record(faces);
+        
+        // Redrawing the whole chart every frame is wasteful
+        const now = performance.now();
+        if (now - this.lastTimelineRender > 500) {
+            this.lastTimelineRender = now;
+            this.renderTimeline();
         }
     }
 
     /**
-     * Set up camera access
+     * Add the current frame to the dashboard totals
+     */
+    updateSessionStats(detections) {
+        const faces = detections
+            .map(detection => this.tracker.getTrack(detection.trackId))
+            .filter(Boolean)
+            .map(track => ({
+                track,
+                label: this.getFaceLabel(track),
+                expressions: track.emotion ? track.emotion.values : null,
+                dominant: track.emotion ? track.emotion.dominant : null
+            }));
+        
+        this.sessionStats.update(faces, this.dominantEmotion);
+    }
+
+    /**
+     * Open the dashboard with the report as it stands now
+     */
+    showDashboard() {
+        this.elements.dashboardFrame.srcdoc = this.sessionStats.toHTML();
+        this.elements.dashboardModal.classList.remove('hidden');
+    }
+
+    hideDashboard() {
+        this.elements.dashboardModal.classList.add('hidden');
+    }
+
+    exportReport() {
+        const html = this.sessionStats.toHTML();
+        this.downloadBlob(new Blob([html], { type: 'text/html' }), `facemoji-report-${Date.now()}.html`);
+    }
+
+    /**
+     * Print the report shown in the dashboard; browsers offer "Save as PDF" here
      */
-    async setupCamera() {
-        try {
-            // Get available cameras
-            await this.updateCameraList();
+    printReport() {
+        const frameWindow = this.elements.dashboardFrame.contentWindow;
+        if (!frameWindow) return;
+        
+        frameWindow.focus();
+        frameWindow.print();
+    }
+
+    /**
+     * Draw each emotion's average over the session as a scrollable line chart
+     */
+    renderTimeline() {
+        const canvas = this.elements.timelineCanvas;
+        const ctx = canvas.getContext('2d');
+        const recorder = this.sessionRecorder;
+        const series = recorder.getAverageSeries();
+        const durationSeconds = recorder.getDuration() / 1000;
+        
+        const padding = 20;
+        const pixelsPerSecond = durationSeconds > 0
+            ? Math.min(TIMELINE_PIXELS_PER_SECOND, (TIMELINE_MAX_WIDTH - padding * 2) / durationSeconds)
+            : TIMELINE_PIXELS_PER_SECOND;
+        const width = Math.max(this.elements.timelineScroll.clientWidth, Math.ceil(durationSeconds * pixelsPerSecond) + padding * 2);
+        const height = canvas.height;
+        const plotHeight = height - padding * 2;
+        
+        canvas.width = width;
+        ctx.clearRect(0, 0, width, height);
+        
+        // Grid line and label every 5 seconds, or wider once the chart is squeezed
+        const gridStep = TIMELINE_GRID_STEPS.find(step => step * pixelsPerSecond >= 100) ||
+            TIMELINE_GRID_STEPS[TIMELINE_GRID_STEPS.length - 1];
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 1;
+        for (let second = 0; second <= durationSeconds; second += gridStep) {
+            const x = padding + second * pixelsPerSecond;
+            ctx.beginPath();
+            ctx.moveTo(x, padding);
+            ctx.lineTo(x, height - padding);
+            ctx.stroke();
+            ctx.fillText(second < 60 ? `${second}s` : SessionStats.formatDuration(second * 1000), x, height - 6);
+        }
+        
+        // One line per emotion
+        ctx.lineWidth = 2;
+        recorder.emotions.forEach(emotion => {
+            if (series.length === 0) return;
             
-            // Request camera permission
-            const constraints = {
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    frameRate: { ideal: 30 },
-                    facingMode: 'user'
+            ctx.strokeStyle = EMOTION_COLORS[emotion];
+            ctx.beginPath();
+            series.forEach((point, index) => {
+                const x = padding + (point.t / 1000) * pixelsPerSecond;
+                const y = padding + (1 - point.values[emotion]) * plotHeight;
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
                 }
-            };
-            
-            if (this.settings.preferredCamera) {
-                constraints.video.deviceId = { exact: this.settings.preferredCamera };
-            }
-            
-            this.currentStream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.elements.video.srcObject = this.currentStream;
-            
-            // Wait for video to be ready
-            await new Promise((resolve) => {
-                this.elements.video.onloadedmetadata = () => {
-                    this.elements.video.play();
-                    resolve();
-                };
             });
-            
-            this.isCameraActive = true;
-            this.updateCameraStatus('active', 'Camera Active');
-            this.startDetection();
-            
-        } catch (error) {
-            this.updateCameraStatus('error', 'Camera Error');
-            throw new Error(`Camera setup failed: ${error.message}`);
+            ctx.stroke();
+        });
+        
+        // Keep the latest data in view while recording
+        if (recorder.isRecording) {
+            this.elements.timelineScroll.scrollLeft = width;
         }
+        
+        const minutes = Math.floor(durationSeconds / 60);
+        this.elements.timelineDuration.textContent = `${minutes}:${String(Math.floor(durationSeconds % 60)).padStart(2, '0')}`;
     }
 
     /**
-     * Update camera device list
+     * Download the recorded session as CSV or JSON
      */
-    async updateCameraList() {
-        try {
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            const videoDevices = devices.filter(device => device.kind === 'videoinput');
-            
-            this.elements.cameraSelect.innerHTML = '';
-            
-            if (videoDevices.length === 0) {
-                this.elements.cameraSelect.innerHTML = '<option value="">No cameras found</option>';
-                return;
+    exportSession(format) {
+        const recorder = this.sessionRecorder;
+        if (recorder.samples.length === 0) {
+            this.showToast('warning', 'Nothing to Export', 'Record a session first');
+            return;
+        }
+        
+        const filename = `facemoji-session-${recorder.startedAt}.${format}`;
+        if (format === 'csv') {
+            this.downloadBlob(new Blob([recorder.toCSV()], { type: 'text/csv' }), filename);
+        } else {
+            this.downloadBlob(new Blob([JSON.stringify(recorder.toJSON(), null, 2)], { type: 'application/json' }), filename);
+        }
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Toggle camera on/off
+     */
+    async toggleCamera() {
+        if (this.cameraGrid) {
+            this.stopCameraGrid();
+        } else if (this.sourceType !== 'camera') {
+            try {
+                await this.closeMediaFile();
+            } catch (error) {
+                this.showCameraError(error);
             }
-            
-            videoDevices.forEach((device, index) => {
-                const option = document.createElement('option');
-                option.value = device.deviceId;
-                option.textContent = device.label || `Camera ${index + 1}`;
-                this.elements.cameraSelect.appendChild(option);
-            });
-            
+        } else if (this.isCameraActive) {
+            this.stopCamera();
+        } else {
+            try {
+                await this.setupCamera();
+            } catch (error) {
+                this.showCameraError(error);
+            }
+        }
+    }
+
+    /**
+     * Toast explaining why the camera could not start and what to do about it
+     */
+    showCameraError(error) {
+        const typedError = FaceMojiError.from(error);
+        if (typedError.code === 'unknown') {
+            this.showToast('error', 'Camera Error', typedError.message);
+        } else {
+            this.showToast('error', typedError.title, typedError.tip);
+        }
+    }
+
+    /**
+     * Stop camera
+     */
+    stopCamera() {
+        // Save what was recorded before the source disappears
+        this.stopVideoRecording();
+        
+        if (this.currentStream) {
+            this.currentStream.getTracks().forEach(track => track.stop());
+            this.currentStream = null;
+        }
+        
+        this.elements.video.srcObject = null;
+        this.isCameraActive = false;
+        this.isDetectionRunning = false;
+        this.lastDetections = [];
+        this.privacyDetections = [];
+        this.emitTrackChanges([], this.tracker.reset());
+        this.emotionSmoother.reset();
+        this.behaviorMonitor.reset();
+        this.rulesEngine.reset();
+        this.resetAttention();
+        this.governor.reset();
+        this.stopPhotoBooth();
+        
+        this.updateCameraStatus('inactive', 'Camera Off');
+        this.elements.toggleCamera.innerHTML = '<i class="fas fa-video-slash"></i><span>Camera Off</span>';
+        
+        // Clear canvas
+        const ctx = this.elements.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.elements.canvas.width, this.elements.canvas.height);
+        
+        // Reset UI
+        this.elements.faceCount.textContent = '0';
+        this.elements.confidence.textContent = '0%';
+        this.elements.fpsDisplay.textContent = '0';
+        this.updateAttentionUI([]);
+        this.elements.videoOverlay.classList.remove('hidden');
+        this.updateFaceList();
+    }
+
+    /**
+     * Switch to different camera
+     */
+    async switchCamera(deviceId) {
+        if (!deviceId || !this.isCameraActive) return;
+        
+        try {
+            this.stopCamera();
+            this.settings.preferredCamera = deviceId;
+            await this.setupCamera();
+            this.showToast('success', 'Camera Switched', 'Successfully switched camera device');
         } catch (error) {
-            console.error('Failed to enumerate cameras:', error);
+            this.reportError('Camera switch failed', error);
+            this.showToast('error', 'Camera Switch Failed', error.message);
         }
     }
 
     /**
-     * Start face detection
+     * Switch between the single camera and grid view
      */
-    startDetection() {
-        if (!this.isModelLoaded || !this.isCameraActive || this.isDetectionRunning) {
+    async toggleCameraGrid() {
+        if (!this.cameraGrid) {
+            await this.startCameraGrid();
             return;
         }
         
-        this.isDetectionRunning = true;
-        this.detectFaces();
+        this.stopCameraGrid();
+        try {
+            await this.setupCamera();
+        } catch (error) {
+            this.showCameraError(error);
+        }
     }
 
     /**
-     * Perform face detection
+     * Open up to `gridMaxCameras` cameras at once and detect on them in turn
      */
-    async detectFaces() {
-        if (!this.isDetectionRunning || this.elements.video.paused || this.elements.video.ended) {
+    async startCameraGrid() {
+        if (this.sourceType !== 'camera') {
+            this.showToast('warning', 'Close the File First', 'Grid view shows live cameras; switch back to the camera first');
             return;
         }
         
+        let devices = [];
         try {
-            // Calculate FPS
-            const currentTime = performance.now();
-            if (this.lastFrameTime > 0) {
-                const deltaTime = currentTime - this.lastFrameTime;
-                this.fpsCounter = 1000 / deltaTime;
-                this.fpsDisplay = Math.round(this.fpsCounter);
-                this.elements.fpsDisplay.textContent = this.fpsDisplay;
-            }
-            this.lastFrameTime = currentTime;
-            
-            // Detect faces with expressions
-            const detections = await faceapi
-                .detectAllFaces(this.elements.video, new faceapi.TinyFaceDetectorOptions({
-                    inputSize: 416,
-                    scoreThreshold: this.settings.detectionSensitivity
-                }))
-                .withFaceLandmarks()
-                .withFaceExpressions();
-            
-            // Limit number of faces
-            const limitedDetections = detections.slice(0, this.settings.maxFaces);
-            this.lastDetections = limitedDetections;
-            
-            // Update UI
-            this.updateDetectionUI(limitedDetections);
-            this.drawDetections(limitedDetections);
-            
-            // Continue detection
-            requestAnimationFrame(() => this.detectFaces());
-            
+            devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
         } catch (error) {
-            console.error('Detection error:', error);
-            // Continue despite errors
-            setTimeout(() => this.detectFaces(), 100);
+            this.reportError('Camera enumeration failed', error);
+        }
+        if (devices.length < 2) {
+            this.showToast('warning', 'Multiple Cameras Needed', 'Grid view needs at least two connected cameras');
+            return;
+        }
+        
+        // Some devices refuse a second stream from the camera already in use
+        this.stopCamera();
+        const grid = new CameraGrid();
+        this.cameraGrid = grid;
+        
+        const unavailable = [];
+        const selected = devices.slice(0, this.settings.gridMaxCameras);
+        for (const [index, device] of selected.entries()) {
+            const label = device.label || `Camera ${index + 1}`;
+            try {
+                await this.openGridCamera(grid, device.deviceId, label);
+            } catch (error) {
+                unavailable.push(label);
+                this.reportError('Grid camera failed', FaceMojiError.fromCameraError(error));
+            }
+            // Grid view was closed while this camera was opening
+            if (this.cameraGrid !== grid) {
+                grid.stop();
+                return;
+            }
+        }
+        
+        if (grid.cameras.length < 2) {
+            this.stopCameraGrid();
+            this.showToast('error', 'Grid View Failed', 'Could not open two cameras at once; some devices only allow one camera at a time');
+            try {
+                await this.setupCamera();
+            } catch (error) {
+                this.showCameraError(error);
+            }
+            return;
+        }
+        if (unavailable.length > 0) {
+            this.showToast('warning', 'Some Cameras Unavailable', `Could not open ${escapeHTML(unavailable.join(', '))}`);
         }
+        
+        this.elements.videoFrame.classList.add('hidden');
+        this.elements.cameraGrid.classList.remove('hidden');
+        this.elements.cameraGridPanel.classList.remove('hidden');
+        this.elements.gridViewBtn.innerHTML = '<i class="fas fa-square"></i><span>Single View</span>';
+        this.updateCameraStatus('active', `Grid View · ${grid.cameras.length} cameras`);
+        this.renderGridSummary();
+        this.startDetection();
     }
 
     /**
-     * Update detection UI elements
+     * Open one camera and add it to `grid`; its tile is only shown while that
+     * grid is still the open one
      */
-    updateDetectionUI(detections) {
-        // Update face count
-        this.elements.faceCount.textContent = detections.length;
+    async openGridCamera(grid, deviceId, label) {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                deviceId: { exact: deviceId },
+                width: { ideal: 640 },
+                height: { ideal: 480 }
+            }
+        });
         
-        // Update confidence (average of all detections)
-        let avgConfidence = 0;
-        if (detections.length > 0) {
-            const totalConfidence = detections.reduce((sum, det) => sum + det.detection.score, 0);
-            avgConfidence = (totalConfidence / detections.length) * 100;
+        const tile = document.createElement('div');
+        tile.className = 'camera-grid-tile';
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        const canvas = document.createElement('canvas');
+        const caption = document.createElement('div');
+        caption.className = 'camera-grid-caption';
+        caption.textContent = label;
+        tile.appendChild(video);
+        tile.appendChild(canvas);
+        tile.appendChild(caption);
+        
+        video.srcObject = stream;
+        await new Promise((resolve) => {
+            video.onloadedmetadata = () => {
+                video.play();
+                resolve();
+            };
+        });
+        
+        if (this.cameraGrid === grid) {
+            this.elements.cameraGrid.appendChild(tile);
         }
-        this.elements.confidence.textContent = `${Math.round(avgConfidence)}%`;
+        return grid.add(deviceId, label, stream, { video, canvas, caption });
+    }
+
+    /**
+     * Close every grid camera and bring back the single view's layout
+     */
+    stopCameraGrid() {
+        if (!this.cameraGrid) return;
         
-        // Show/hide no face message
-        if (detections.length === 0) {
-            this.elements.videoOverlay.classList.remove('hidden');
+        this.cameraGrid.stop();
+        this.cameraGrid = null;
+        this.isDetectionRunning = false;
+        this.emotionSmoother.reset();
+        this.rulesEngine.reset();
+        
+        this.elements.cameraGrid.innerHTML = '';
+        this.elements.cameraGrid.classList.add('hidden');
+        this.elements.cameraGridPanel.classList.add('hidden');
+        this.elements.videoFrame.classList.remove('hidden');
+        this.elements.gridViewBtn.innerHTML = '<i class="fas fa-th-large"></i><span>Grid View</span>';
+        this.updateCameraStatus('inactive', 'Camera Off');
+        this.elements.toggleCamera.innerHTML = '<i class="fas fa-video-slash"></i><span>Camera Off</span>';
+        this.elements.faceCount.textContent = '0';
+        this.elements.confidence.textContent = '0%';
+        this.elements.fpsDisplay.textContent = '0';
+    }
+
+    /**
+     * Detect faces on the next grid camera, then refresh its tile and the
+     * combined readings. Emotions are smoothed under keys prefixed with the
+     * camera, since track IDs repeat between cameras.
+     */
+    async analyzeGridFrame() {
+        const grid = this.cameraGrid;
+        const camera = grid.next();
+        if (!camera) return;
+        
+        const detections = await this.runDetection(false, camera.video);
+        // The worker dropped the frame, or grid view was closed meanwhile
+        if (!detections || this.cameraGrid !== grid) return;
+        
+        camera.detections = detections.slice(0, this.settings.maxFaces);
+        camera.privacyDetections = detections;
+        camera.detectedAt = performance.now();
+        const { exited } = camera.tracker.update(camera.detections);
+        exited.forEach(track => this.emotionSmoother.forget(`${camera.deviceId}:${track.id}`));
+        
+        const faceExpressions = [];
+        camera.detections.forEach(detection => {
+            const track = camera.tracker.getTrack(detection.trackId);
+            if (!track || !detection.expressions) return;
+            track.emotion = this.emotionSmoother.update(`${camera.deviceId}:${track.id}`, detection.expressions);
+            faceExpressions.push(detection.expressions);
+        });
+        if (faceExpressions.length > 0) {
+            const average = Object.fromEntries(EMOTIONS.map(emotion => [
+                emotion,
+                faceExpressions.reduce((sum, expressions) => sum + (expressions[emotion] || 0), 0) / faceExpressions.length
+            ]));
+            camera.emotion = this.emotionSmoother.update(`camera:${camera.deviceId}`, average);
         } else {
-            this.elements.videoOverlay.classList.add('hidden');
+            camera.emotion = null;
         }
+        this.drawGridTile(camera);
         
-        // Update emotion data if enabled
-        if (this.settings.emotionDetectionEnabled && detections.length > 0) {
-            this.updateEmotionData(detections);
+        // The status panel shows every camera together
+        const allDetections = grid.getAllDetections();
+        this.elements.faceCount.textContent = allDetections.length;
+        const totalConfidence = allDetections.reduce((sum, detection) => sum + detection.detection.score, 0);
+        this.elements.confidence.textContent = `${allDetections.length > 0 ? Math.round(totalConfidence / allDetections.length * 100) : 0}%`;
+        if (this.settings.emotionDetectionEnabled && allDetections.length > 0) {
+            this.updateEmotionData(allDetections);
         }
+        this.renderGridSummary();
+        
+        this.emit('gridupdate', { ...grid.summarize(), emotion: this.dominantEmotion });
+        this.evaluateRules(grid.cameras.flatMap(gridCamera => this.getRuleFaces(gridCamera.detections, gridCamera.tracker)));
     }
 
     /**
-     * Update emotion detection display
+     * The overlay layers on one grid camera's tile
      */
-    updateEmotionData(detections) {
-        // Reset emotion data
-        this.emotionData = {
-            happy: 0,
-            sad: 0,
-            angry: 0,
-            fearful: 0,
-            disgusted: 0,
-            surprised: 0,
-            neutral: 0
-        };
+    drawGridTile(camera) {
+        const { video, canvas, caption, tracker } = camera;
+        const ctx = canvas.getContext('2d');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        // Aggregate emotions from all faces
-        detections.forEach(detection => {
-            if (detection.expressions) {
-                this.emotionData.happy += detection.expressions.happy || 0;
-                this.emotionData.sad += detection.expressions.sad || 0;
-                this.emotionData.angry += detection.expressions.angry || 0;
-                this.emotionData.fearful += detection.expressions.fearful || 0;
-                this.emotionData.disgusted += detection.expressions.disgusted || 0;
-                this.emotionData.surprised += detection.expressions.surprised || 0;
-                this.emotionData.neutral += detection.expressions.neutral || 0;
-            }
+        const mirrored = this.isMirrored();
+        this.drawMirrored(ctx, mirrored, () => this.drawPrivacyMasks(ctx, camera.privacyDetections, {
+            media: video,
+            size: { width: video.videoWidth, height: video.videoHeight },
+            tracker,
+            detectedAt: camera.detectedAt,
+            live: true
+        }));
+        
+        const theme = this.getOverlayTheme();
+        camera.detections.forEach(detection => {
+            const face = mirrored ? this.mirrorDetection(detection, canvas.width) : detection;
+            this.drawFaceOverlay(ctx, face, tracker.getTrack(detection.trackId), theme);
         });
         
-        // Normalize by number of faces
-        if (detections.length > 0) {
-            Object.keys(this.emotionData).forEach(emotion => {
-                this.emotionData[emotion] /= detections.length;
-            });
-        }
+        const emoji = camera.emotion && camera.emotion.dominant ? ` · ${EMOTION_EMOJIS[camera.emotion.dominant]}` : '';
+        caption.textContent = `${camera.label} · ${camera.detections.length} ${camera.detections.length === 1 ? 'face' : 'faces'}${emoji}`;
+    }
+
+    /**
+     * Per-camera rows and the all-cameras total in the status panel
+     */
+    renderGridSummary() {
+        const summary = this.cameraGrid.summarize();
+        const describeEmotion = (emotion) => (emotion ? `${EMOTION_EMOJIS[emotion]} ${emotion}` : '—');
+        const rows = [
+            ...summary.cameras,
+            { label: 'All cameras', faceCount: summary.faceCount, emotion: this.dominantEmotion, total: true }
+        ];
         
-        // Update UI
-        this.updateEmotionUI();
+        this.elements.cameraGridSummary.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = row.total ? 'camera-grid-row total' : 'camera-grid-row';
+            item.innerHTML = `
+                <span class="camera-grid-name"></span>
+                <span class="camera-grid-meta">${row.faceCount} ${row.faceCount === 1 ? 'face' : 'faces'} · ${describeEmotion(row.emotion)}</span>
+            `;
+            item.querySelector('.camera-grid-name').textContent = row.label;
+            this.elements.cameraGridSummary.appendChild(item);
+        });
     }
 
     /**
-     * Update emotion UI bars
+     * Start photo booth mode, or cancel it while it waits or counts down
      */
-    updateEmotionUI() {
-        let dominantEmotion = null;
-        let maxValue = 0;
+    togglePhotoBooth() {
+        if (this.photoBooth.state !== 'idle') {
+            this.stopPhotoBooth();
+            return;
+        }
+        if (!this.hasActiveSource() || this.sourceType === 'image') {
+            this.showToast('warning', 'Camera Not Active', 'The photo booth needs the camera or a playing video');
+            return;
+        }
         
-        // Emotion emojis mapping
-        const emotionEmojis = {
-            happy: '😊',
-            sad: '😢',
-            angry: '😠',
-            fearful: '😨',
-            disgusted: '🤢',
-            surprised: '😲',
-            neutral: '😐'
-        };
+        this.photoBooth.configure({ smileThreshold: this.settings.boothSmileThreshold });
+        this.photoBooth.start();
+        this.elements.photoBoothBtn.classList.add('active');
+        this.showBoothMessage('', 'Smile at the camera! 😊');
+    }
+
+    stopPhotoBooth() {
+        this.photoBooth.stop();
+        this.elements.photoBoothBtn.classList.remove('active');
+        this.elements.boothOverlay.classList.add('hidden');
+    }
+
+    showBoothMessage(countdown, message) {
+        this.elements.boothCountdown.textContent = countdown;
+        this.elements.boothMessage.textContent = message;
+        this.elements.boothOverlay.classList.remove('hidden');
+    }
+
+    /**
+     * Wait for everyone to smile at the camera, then start the countdown
+     */
+    updatePhotoBooth(detections, timestamp = performance.now()) {
+        if (this.photoBooth.state !== 'waiting') return;
         
-        Object.keys(this.emotionData).forEach(emotion => {
-            const emotionItem = this.elements.emotionGrid.querySelector(`[data-emotion="${emotion}"]`);
-            if (emotionItem) {
-                const fill = emotionItem.querySelector('.emotion-fill');
-                const percentage = Math.round(this.emotionData[emotion] * 100);
-                const percentageSpan = emotionItem.querySelector('.emotion-percentage');
-                
-                // Update bar width and percentage text
-                fill.style.width = `${percentage}%`;
-                percentageSpan.textContent = `${percentage}%`;
-                
-                // Find dominant emotion
-                if (this.emotionData[emotion] > maxValue) {
-                    maxValue = this.emotionData[emotion];
-                    dominantEmotion = emotion;
-                }
-                
-                // Remove active class
-                emotionItem.classList.remove('active');
-            }
+        const faces = detections.map(detection => {
+            const track = this.tracker.getTrack(detection.trackId);
+            const expressions = track && track.emotion ? track.emotion.values : detection.expressions;
+            return {
+                happy: expressions ? expressions.happy || 0 : 0,
+                attentive: track ? track.attentive : undefined
+            };
         });
         
-        // Update header emotion status
-        if (dominantEmotion && maxValue > 0.2) {
-            const emoji = emotionEmojis[dominantEmotion] || '😐';
-            this.elements.dominantEmoji.textContent = emoji;
-            this.elements.dominantEmotion.textContent = dominantEmotion;
-            this.elements.emotionStatus.classList.add('active');
-            
-            // Highlight dominant emotion in grid if confidence is high enough
-            if (maxValue > 0.3) {
-                const dominantItem = this.elements.emotionGrid.querySelector(`[data-emotion="${dominantEmotion}"]`);
-                if (dominantItem) {
-                    dominantItem.classList.add('active');
-                }
-            }
+        if (this.photoBooth.update(faces, timestamp)) {
+            this.runPhotoBooth();
+        } else if (faces.length === 0) {
+            this.showBoothMessage('', 'Step into the frame 😊');
         } else {
-            // Default to neutral when no strong emotion detected
-            this.elements.dominantEmoji.textContent = '😐';
-            this.elements.dominantEmotion.textContent = 'Neutral';
-            this.elements.emotionStatus.classList.remove('active');
+            const smiling = faces.filter(face => this.photoBooth.isSmiling(face)).length;
+            this.showBoothMessage('', `${smiling} of ${faces.length} smiling at the camera`);
         }
     }
 
     /**
-     * Draw detection overlays on canvas
+     * Count down, shoot the burst and show the strip; cancelling stops at the next step
      */
-    drawDetections(detections) {
-        const canvas = this.elements.canvas;
-        const ctx = canvas.getContext('2d');
-        
-        // Set canvas size to match video
-        canvas.width = this.elements.video.videoWidth;
-        canvas.height = this.elements.video.videoHeight;
-        
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw detections
-        detections.forEach((detection, index) => {
-            const { x, y, width, height } = detection.detection.box;
-            const confidence = detection.detection.score;
+    async runPhotoBooth() {
+        const booth = this.photoBooth;
+        try {
+            for (let count = this.settings.boothCountdown; count > 0; count--) {
+                this.showBoothMessage(count, 'Hold that smile!');
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                if (booth.state !== 'countdown') return;
+            }
             
-            // Draw bounding box
-            ctx.strokeStyle = '#10b981';
-            ctx.lineWidth = 3;
-            ctx.strokeRect(x, y, width, height);
+            booth.state = 'capturing';
+            this.showBoothMessage('📸', '');
+            const frames = await this.captureBoothBurst(this.settings.boothBurstCount);
+            if (booth.state !== 'capturing') return;
             
-            // Draw confidence background
-            ctx.fillStyle = 'rgba(16, 185, 129, 0.8)';
-            ctx.fillRect(x, y - 30, width, 25);
+            this.stopPhotoBooth();
+            const ranked = PhotoBooth.rankFrames(frames);
+            this.showBoothResult(this.buildBoothStrip(ranked), ranked);
+        } catch (error) {
+            this.stopPhotoBooth();
+            this.reportError('Photo booth failed', error);
+            this.showToast('error', 'Photo Booth Failed', error.message);
+        }
+    }
+
+    /**
+     * Grab `count` frames without boxes or labels (privacy masks stay) and
+     * score each by the faces' smiles and the frame's sharpness. Smiles come
+     * from a detection on each captured frame, once the burst is over.
+     */
+    async captureBoothBurst(count) {
+        const { width, height } = this.getMediaSize();
+        const frames = [];
+        const scoringCanvases = [];
+        
+        for (let i = 0; i < count; i++) {
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.photoBooth.options.burstInterval));
+                if (this.photoBooth.state !== 'capturing') break;
+            }
             
-            // Draw confidence text
-            ctx.fillStyle = 'white';
-            ctx.font = '16px Inter, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText(
-                `Face ${index + 1} (${Math.round(confidence * 100)}%)`,
-                x + width / 2,
-                y - 10
-            );
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            this.drawMediaFrame(canvas.getContext('2d'));
             
-            // Draw emotion if enabled
-            if (this.settings.emotionDetectionEnabled && detection.expressions) {
-                const emotions = detection.expressions;
-                const topEmotion = Object.keys(emotions).reduce((a, b) => 
-                    emotions[a] > emotions[b] ? a : b
-                );
-                
-                if (emotions[topEmotion] > 0.3) {
-                    // Get emoji for emotion
-                    const emotionEmojis = {
-                        happy: '😊',
-                        sad: '😢',
-                        angry: '😠',
-                        fearful: '😨',
-                        disgusted: '🤢',
-                        surprised: '😲',
-                        neutral: '😐'
-                    };
-                    
-                    const emoji = emotionEmojis[topEmotion] || '😐';
-                    
-                    // Draw emotion background
-                    ctx.fillStyle = 'rgba(99, 102, 241, 0.9)';
-                    ctx.fillRect(x, y + height, width, 35);
-                    
-                    // Draw emoji
-                    ctx.font = '20px Arial';
-                    ctx.textAlign = 'left';
-                    ctx.fillText(emoji, x + 5, y + height + 25);
-                    
-                    // Draw emotion text
-                    ctx.fillStyle = 'white';
-                    ctx.font = '14px Inter, sans-serif';
-                    ctx.textAlign = 'center';
-                    ctx.fillText(
-                        `${topEmotion} (${Math.round(emotions[topEmotion] * 100)}%)`,
-                        x + width / 2,
-                        y + height + 25
-                    );
-                }
+            // Masks would hide the smile, so detect on an unmasked copy of the same frame
+            let scoringCanvas = canvas;
+            if (this.settings.privacyMode !== 'off') {
+                scoringCanvas = document.createElement('canvas');
+                scoringCanvas.width = width;
+                scoringCanvas.height = height;
+                scoringCanvas.getContext('2d').drawImage(this.getMediaElement(), 0, 0, width, height);
             }
+            scoringCanvases.push(scoringCanvas);
             
-            // Draw landmarks if available
-            if (detection.landmarks) {
-                ctx.fillStyle = '#ec4899';
-                detection.landmarks.positions.forEach(point => {
-                    ctx.beginPath();
-                    ctx.arc(point.x, point.y, 1, 0, 2 * Math.PI);
-                    ctx.fill();
-                });
-            }
-        });
+            frames.push({
+                canvas,
+                smile: this.getBoothSmile(),
+                sharpness: this.measureSharpness(canvas),
+                emotion: this.dominantEmotion
+            });
+            
+            this.elements.boothOverlay.classList.add('flash');
+            setTimeout(() => this.elements.boothOverlay.classList.remove('flash'), 150);
+        }
+        
+        // The live detection's smile stays when a frame cannot be analyzed
+        for (const [index, scoringCanvas] of scoringCanvases.entries()) {
+            if (this.photoBooth.state !== 'capturing') break;
+            
+            const smile = await this.detectBoothSmile(scoringCanvas);
+            if (smile !== null) frames[index].smile = smile;
+        }
+        
+        return frames;
     }
 
     /**
-     * Toggle camera on/off
+     * Average happy score of the faces detected on one captured frame; null
+     * when the detection worker stayed busy with live frames
      */
-    async toggleCamera() {
-        if (this.isCameraActive) {
-            this.stopCamera();
-        } else {
-            try {
-                await this.setupCamera();
-            } catch (error) {
-                this.showToast('error', 'Camera Error', error.message);
+    async detectBoothSmile(canvas) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const detections = await this.runDetection(false, canvas);
+            if (detections) {
+                return PhotoBooth.averageSmile(detections.map(detection => detection.expressions));
             }
+            await new Promise(resolve => setTimeout(resolve, 50));
         }
+        return null;
     }
 
     /**
-     * Stop camera
+     * Average raw happy score of the faces in the latest detection, the one
+     * closest in time to a frame captured now
      */
-    stopCamera() {
-        if (this.currentStream) {
-            this.currentStream.getTracks().forEach(track => track.stop());
-            this.currentStream = null;
-        }
+    getBoothSmile() {
+        return PhotoBooth.averageSmile(this.lastDetections.map(detection => detection.rawExpressions || detection.expressions));
+    }
+
+    /**
+     * Sharpness of a frame, measured on a small copy to keep the burst fast
+     */
+    measureSharpness(canvas) {
+        const sample = document.createElement('canvas');
+        sample.width = 160;
+        sample.height = Math.max(1, Math.round(160 * canvas.height / canvas.width));
+        const ctx = sample.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, sample.width, sample.height);
         
-        this.elements.video.srcObject = null;
-        this.isCameraActive = false;
-        this.isDetectionRunning = false;
+        const imageData = ctx.getImageData(0, 0, sample.width, sample.height);
+        return imageData ? PhotoBooth.sharpness(imageData) : 0;
+    }
+
+    /**
+     * Lay the ranked frames out on white for printing: one column for a strip,
+     * two for a grid. The best frame comes first with a gold border.
+     */
+    buildBoothStrip(frames) {
+        const columns = this.settings.boothLayout === 'grid' ? 2 : 1;
+        const rows = Math.ceil(frames.length / columns);
+        const margin = 24;
+        const footer = 56;
+        const slotWidth = 480;
+        const { width: frameWidth, height: frameHeight } = frames[0].canvas;
+        const slotHeight = Math.round(slotWidth * frameHeight / frameWidth);
         
-        this.updateCameraStatus('inactive', 'Camera Off');
-        this.elements.toggleCamera.innerHTML = '<i class="fas fa-video-slash"></i><span>Camera Off</span>';
+        const canvas = document.createElement('canvas');
+        canvas.width = columns * slotWidth + (columns + 1) * margin;
+        canvas.height = rows * slotHeight + (rows + 1) * margin + footer;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
         
-        // Clear canvas
-        const ctx = this.elements.canvas.getContext('2d');
-        ctx.clearRect(0, 0, this.elements.canvas.width, this.elements.canvas.height);
+        frames.forEach((frame, index) => {
+            const x = margin + (index % columns) * (slotWidth + margin);
+            const y = margin + Math.floor(index / columns) * (slotHeight + margin);
+            ctx.drawImage(frame.canvas, x, y, slotWidth, slotHeight);
+            
+            if (this.settings.boothEmojiFrames) {
+                this.drawBoothEmojiFrame(ctx, x, y, slotWidth, slotHeight, EMOTION_EMOJIS[frame.emotion] || EMOTION_EMOJIS.happy);
+            }
+            if (index === 0) {
+                ctx.strokeStyle = '#f59e0b';
+                ctx.lineWidth = 6;
+                ctx.strokeRect(x, y, slotWidth, slotHeight);
+            }
+        });
         
-        // Reset UI
-        this.elements.faceCount.textContent = '0';
-        this.elements.confidence.textContent = '0%';
-        this.elements.fpsDisplay.textContent = '0';
-        this.elements.videoOverlay.classList.remove('hidden');
+        ctx.fillStyle = '#1f2937';
+        ctx.font = '600 20px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`FaceMoji Photo Booth · ${new Date().toLocaleDateString()}`, canvas.width / 2, canvas.height - footer / 2 - margin / 2);
+        
+        return canvas;
     }
 
     /**
-     * Switch to different camera
+     * A row of emoji along the top and bottom edges of a frame
      */
-    async switchCamera(deviceId) {
-        if (!deviceId || !this.isCameraActive) return;
+    drawBoothEmojiFrame(ctx, x, y, width, height, emoji) {
+        const count = 5;
+        const size = Math.round(width / 10);
         
-        try {
-            this.stopCamera();
-            this.settings.preferredCamera = deviceId;
-            await this.setupCamera();
-            this.showToast('success', 'Camera Switched', 'Successfully switched camera device');
-        } catch (error) {
-            this.showToast('error', 'Camera Switch Failed', error.message);
+        ctx.save();
+        ctx.font = `${size}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i < count; i++) {
+            const centerX = x + (i + 0.5) * width / count;
+            ctx.fillText(emoji, centerX, y + size * 0.6);
+            ctx.fillText(emoji, centerX, y + height - size * 0.6);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Preview the strip with a download button
+     */
+    showBoothResult(strip, frames) {
+        strip.toBlob(blob => {
+            if (this.boothPreviewUrl) {
+                URL.revokeObjectURL(this.boothPreviewUrl);
+            }
+            this.boothBlob = blob;
+            this.boothPreviewUrl = URL.createObjectURL(blob);
+            this.elements.boothPreview.src = this.boothPreviewUrl;
+            this.elements.boothModal.classList.remove('hidden');
+            
+            this.emit('photobooth', { frameCount: frames.length, bestScore: frames[0].score });
+        }, 'image/png');
+    }
+
+    hideBoothResult() {
+        this.elements.boothModal.classList.add('hidden');
+    }
+
+    downloadBoothStrip() {
+        if (this.boothBlob) {
+            this.downloadBlob(this.boothBlob, `facemoji-booth-${Date.now()}.png`);
         }
     }
 
@@ -732,7 +6672,7 @@ class FaceMojiApp {
      * Capture screenshot with detections
      */
     captureScreenshot() {
-        if (!this.isCameraActive) {
+        if (!this.hasActiveSource()) {
             this.showToast('warning', 'Camera Not Active', 'Please turn on the camera first');
             return;
         }
@@ -743,25 +6683,15 @@ class FaceMojiApp {
             const tempCtx = tempCanvas.getContext('2d');
             
             // Set canvas size
-            tempCanvas.width = this.elements.video.videoWidth;
-            tempCanvas.height = this.elements.video.videoHeight;
-            
-            // Draw video frame
-            tempCtx.drawImage(this.elements.video, 0, 0);
+            const { width, height } = this.getMediaSize();
+            tempCanvas.width = width;
+            tempCanvas.height = height;
             
-            // Draw detections overlay
-            if (this.lastDetections.length > 0) {
-                tempCtx.drawImage(this.elements.canvas, 0, 0);
-            }
+            this.drawCompositeFrame(tempCtx);
             
             // Create download link
             tempCanvas.toBlob(blob => {
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `facemoji-capture-${Date.now()}.png`;
-                link.click();
-                URL.revokeObjectURL(url);
+                this.downloadBlob(blob, `facemoji-capture-${Date.now()}.png`);
                 
                 this.showToast('success', 'Screenshot Saved', 'Image captured successfully');
             }, 'image/png');
@@ -771,6 +6701,108 @@ class FaceMojiApp {
         }
     }
 
+    /**
+     * Paint the current frame with the detection overlay, scaled to the target canvas
+     */
+    drawCompositeFrame(ctx) {
+        const { width, height } = ctx.canvas;
+        this.drawMediaFrame(ctx);
+        
+        if (this.lastDetections.length > 0) {
+            ctx.drawImage(this.elements.canvas, 0, 0, width, height);
+        }
+    }
+
+    /**
+     * Paint the current frame with its privacy masks but no annotations,
+     * scaled to the target canvas and mirrored like the screen in selfie view
+     */
+    drawMediaFrame(ctx) {
+        const { width, height } = ctx.canvas;
+        this.drawMirrored(ctx, this.isMirrored(), () => {
+            ctx.drawImage(this.getMediaElement(), 0, 0, width, height);
+            // Mask this exact frame too; the overlay's masks were cut from the last detected frame
+            this.drawPrivacyMasks(ctx, this.privacyDetections, { scale: width / this.getMediaSize().width });
+        });
+    }
+
+    toggleVideoRecording() {
+        if (this.videoRecorder.isRecording) {
+            this.stopVideoRecording();
+        } else {
+            this.startVideoRecording();
+        }
+    }
+
+    /**
+     * Start recording the annotated feed, plus its emotion timeline when enabled
+     */
+    startVideoRecording() {
+        if (!this.hasActiveSource()) {
+            this.showToast('warning', 'Camera Not Active', 'Please turn on the camera first');
+            return;
+        }
+        
+        if (!VideoRecorder.isSupported()) {
+            this.showToast('error', 'Recording Unavailable', 'This browser cannot record video');
+            return;
+        }
+        
+        try {
+            const { width, height } = this.getMediaSize();
+            this.videoRecorder.start(width, height, (ctx) => this.drawCompositeFrame(ctx));
+        } catch (error) {
+            this.showToast('error', 'Recording Failed', error.message);
+            return;
+        }
+        
+        if (this.settings.recordingTimeline) {
+            this.clipTimeline.start();
+        }
+        
+        this.elements.recordVideoBtn.classList.add('recording');
+        this.elements.recordVideoBtn.innerHTML = '<i class="fas fa-stop"></i><span>Stop</span>';
+        this.elements.recordingIndicator.classList.remove('hidden');
+        this.updateRecordingTime();
+        this.recordingTimer = setInterval(() => this.updateRecordingTime(), 500);
+    }
+
+    /**
+     * Stop recording and download the video and its sidecar timeline
+     */
+    async stopVideoRecording() {
+        if (!this.videoRecorder.isRecording) return;
+        
+        const startedAt = this.videoRecorder.startedAt;
+        clearInterval(this.recordingTimer);
+        this.recordingTimer = null;
+        this.elements.recordVideoBtn.classList.remove('recording');
+        this.elements.recordVideoBtn.innerHTML = '<i class="fas fa-circle"></i><span>Record</span>';
+        this.elements.recordingIndicator.classList.add('hidden');
+        
+        // Stop the sidecar first so no samples land after the video's last frame
+        const withTimeline = this.clipTimeline.isRecording;
+        if (withTimeline) {
+            this.clipTimeline.stop();
+        }
+        
+        const blob = await this.videoRecorder.stop();
+        this.downloadBlob(blob, `facemoji-recording-${startedAt}.webm`);
+        
+        if (withTimeline && this.clipTimeline.samples.length > 0) {
+            const timeline = JSON.stringify(this.clipTimeline.toJSON(), null, 2);
+            this.downloadBlob(new Blob([timeline], { type: 'application/json' }), `facemoji-recording-${startedAt}.json`);
+        }
+        
+        this.showToast('success', 'Recording Saved', 'Video downloaded as WebM');
+    }
+
+    updateRecordingTime() {
+        const seconds = Math.floor(this.videoRecorder.getElapsed() / 1000);
+        const minutes = Math.floor(seconds / 60);
+        this.elements.recordingTime.textContent = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Toggle fullscreen mode
      */
@@ -789,13 +6821,42 @@ class FaceMojiApp {
      */
     showSettings() {
         this.elements.settingsModal.classList.remove('hidden');
-        
-        // Update settings values
-        this.elements.sensitivityRange.value = this.settings.detectionSensitivity;
-        this.elements.sensitivityValue.textContent = this.settings.detectionSensitivity;
-        this.elements.maxFacesRange.value = this.settings.maxFaces;
-        this.elements.maxFacesValue.textContent = this.settings.maxFaces;
+        this.syncSettingsControls();
+    }
+
+    /**
+     * Copy the current settings into the modal's controls
+     */
+    syncSettingsControls() {
         this.elements.emotionDetection.checked = this.settings.emotionDetectionEnabled;
+        this.elements.smoothingMethod.value = this.settings.smoothingMethod;
+        this.elements.detectorSelect.value = this.settings.detector;
+        this.elements.inputSizeSelect.value = this.settings.tinyInputSize;
+        this.elements.landmarkSelect.value = this.settings.landmarkModel;
+        this.elements.governorEnabled.checked = this.settings.governorEnabled;
+        this.elements.recordingTimeline.checked = this.settings.recordingTimeline;
+        this.elements.overlayModeSelect.value = this.settings.overlayMode;
+        this.elements.overlayBoxes.checked = this.settings.overlayBoxes;
+        this.elements.overlayLabels.checked = this.settings.overlayLabels;
+        this.elements.overlayConfidence.checked = this.settings.overlayConfidence;
+        this.elements.overlayLandmarksSelect.value = this.settings.overlayLandmarks;
+        this.elements.overlayExpressionBars.checked = this.settings.overlayExpressionBars;
+        this.elements.overlayThemeSelect.value = this.settings.overlayTheme;
+        this.elements.mirrorView.checked = this.settings.mirrorView;
+        this.applyMirrorView();
+        this.elements.boothLayoutSelect.value = this.settings.boothLayout;
+        this.elements.boothEmojiFrames.checked = this.settings.boothEmojiFrames;
+        this.elements.calibrationEnabled.checked = this.settings.calibrationEnabled;
+        this.elements.privacyModeSelect.value = this.settings.privacyMode;
+        this.elements.privacyScopeSelect.value = this.settings.privacyScope;
+        this.elements.headPoseAxes.checked = this.settings.headPoseAxes;
+        this.elements.drowsinessSound.checked = this.settings.drowsinessSound;
+        this.elements.ageGenderEnabled.checked = this.settings.ageGenderEnabled;
+        this.elements.ageGenderNotice.classList.toggle('hidden', !this.settings.ageGenderEnabled);
+        this.renderRuleList();
+        this.updateDetectorControls();
+        this.syncRangeSettings();
+        this.applySmoothingSettings();
         
         if (this.settings.preferredCamera) {
             this.elements.cameraSelect.value = this.settings.preferredCamera;
@@ -807,6 +6868,155 @@ class FaceMojiApp {
      */
     hideSettings() {
         this.elements.settingsModal.classList.add('hidden');
+        this.saveSettings();
+    }
+
+    /**
+     * Open the diagnostics drawer; it also works from the loading screen after a failed start
+     */
+    showDiagnostics() {
+        this.elements.diagnosticsDrawer.classList.remove('hidden');
+        this.renderDiagnostics();
+    }
+
+    hideDiagnostics() {
+        this.elements.diagnosticsDrawer.classList.add('hidden');
+    }
+
+    /**
+     * Run the network, library and camera checks, reusing the open camera stream
+     */
+    async runDiagnostics() {
+        this.elements.runDiagnosticsBtn.disabled = true;
+        this.elements.diagnosticsResults.innerHTML = '<div class="diagnostics-hint">Running checks...</div>';
+        try {
+            await this.diagnostics.run(this.currentStream);
+        } finally {
+            this.elements.runDiagnosticsBtn.disabled = false;
+            this.renderDiagnostics();
+        }
+    }
+
+    /**
+     * Diagnostics plus the app state that matters for bug reports
+     */
+    getDiagnosticsReport() {
+        return this.diagnostics.buildReport({
+            modelLoaded: this.isModelLoaded,
+            cameraActive: this.isCameraActive,
+            sourceType: this.sourceType,
+            worker: Boolean(this.detectionWorker),
+            droppedFrames: this.detectionWorker ? this.detectionWorker.droppedFrames : 0,
+            governor: this.governor.getStrategy(),
+            fps: this.fpsDisplay,
+            cache: this.cacheStatus,
+            settings: this.settings
+        });
+    }
+
+    /**
+     * Copy the JSON report to the clipboard, or download it where that is refused
+     */
+    async copyDiagnosticsReport() {
+        const report = JSON.stringify(this.getDiagnosticsReport(), null, 2);
+        try {
+            await navigator.clipboard.writeText(report);
+            this.showToast('success', 'Report Copied', 'Paste it into your bug report');
+        } catch (error) {
+            this.downloadBlob(new Blob([report], { type: 'application/json' }), `facemoji-diagnostics-${Date.now()}.json`);
+            this.showToast('success', 'Report Saved', 'Attach the downloaded file to your bug report');
+        }
+    }
+
+    renderDiagnostics() {
+        const { modelPath, probes, modelTimings, errors, results } = this.diagnostics;
+        this.elements.diagnosticsResults.innerHTML = '';
+        
+        this.addDiagnosticsSection('Models', [
+            { label: 'Model path', value: modelPath || 'Not loaded', ok: Boolean(modelPath) },
+            ...probes.map(probe => ({
+                label: `Probe ${probe.path}`,
+                value: probe.ok ? `OK (${probe.duration} ms)` : `Failed: ${probe.error}`,
+                ok: probe.ok
+            })),
+            ...modelTimings.map(timing => ({
+                label: timing.label,
+                value: timing.ok ? `${timing.duration} ms` : `Failed: ${timing.error}`,
+                ok: timing.ok
+            })),
+            {
+                label: 'Detection',
+                value: this.detectionWorker ? `Web worker (${this.detectionWorker.droppedFrames} dropped frames)` : 'Main thread'
+            }
+        ]);
+        
+        if (results) {
+            this.addDiagnosticsSection('System', Object.entries(results.system)
+                .map(([label, value]) => ({ label, value: String(value) })));
+            this.addDiagnosticsSection('Network', results.network.map(test => ({
+                label: test.name,
+                value: test.ok ? `OK (${test.duration} ms)` : `Failed: ${test.error}`,
+                ok: test.ok
+            })));
+            this.addDiagnosticsSection('Libraries', results.libraries.map(test => ({
+                label: test.name,
+                value: test.ok ? 'Available' : `Not available${test.error ? `: ${test.error}` : ''}`,
+                ok: test.ok
+            })));
+            this.addDiagnosticsSection('Camera', [
+                { label: 'Devices', value: results.camera.devices.join(', ') || 'None found', ok: results.camera.devices.length > 0 },
+                {
+                    label: 'Access',
+                    value: results.camera.access
+                        ? `Granted${results.camera.track ? ` (${results.camera.track})` : ''}`
+                        : `${results.camera.error.code}: ${results.camera.error.message}`,
+                    ok: results.camera.access
+                }
+            ]);
+        } else {
+            const hint = document.createElement('div');
+            hint.className = 'diagnostics-hint';
+            hint.textContent = 'Run the checks to test the network, libraries and camera.';
+            this.elements.diagnosticsResults.appendChild(hint);
+        }
+        
+        this.addDiagnosticsSection('Recent Errors', errors.length === 0
+            ? [{ label: 'None', value: '', ok: true }]
+            : errors.slice().reverse().map(entry => ({
+                label: `${entry.time.slice(11, 19)} ${entry.context}`,
+                value: `${entry.code}: ${entry.message}`,
+                ok: false
+            })));
+    }
+
+    /**
+     * Append a titled list of label/value rows; `ok` marks a row as passed or failed
+     */
+    addDiagnosticsSection(title, rows) {
+        const section = document.createElement('div');
+        section.className = 'diagnostics-section';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        section.appendChild(heading);
+        
+        rows.forEach(({ label, value, ok }) => {
+            const row = document.createElement('div');
+            row.className = `diagnostics-row${ok === undefined ? '' : ok ? ' ok' : ' failed'}`;
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'diagnostics-label';
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'diagnostics-value';
+            valueSpan.textContent = value;
+            
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            section.appendChild(row);
+        });
+        
+        this.elements.diagnosticsResults.appendChild(section);
     }
 
     /**
@@ -820,7 +7030,7 @@ class FaceMojiApp {
      * Resume detection
      */
     resumeDetection() {
-        if (this.isCameraActive && !this.isDetectionRunning) {
+        if ((this.hasActiveSource() || this.cameraGrid) && !this.isDetectionRunning) {
             this.startDetection();
         }
     }
@@ -831,6 +7041,7 @@ class FaceMojiApp {
     updateCameraStatus(status, text) {
         this.elements.cameraStatus.className = `status-indicator ${status}`;
         this.elements.statusText.textContent = text;
+        this.emit('camerastatechange', { state: status, message: text });
         
         if (status === 'active') {
             this.elements.toggleCamera.innerHTML = '<i class="fas fa-video"></i><span>Camera On</span>';
@@ -919,10 +7130,15 @@ function checkBrowserCompatibility() {
     return issues;
 }
 
+// Pages that embed FaceMoji load this script with `data-manual` and call FaceMojiApp.mount()
+const FACEMOJI_AUTO_START = !(document.currentScript && document.currentScript.hasAttribute('data-manual'));
+
 /**
  * Initialize the application when DOM is ready
  */
 document.addEventListener('DOMContentLoaded', async () => {
+    if (!FACEMOJI_AUTO_START) return;
+    
     console.log('DOM loaded, starting FaceMoji initialization...');
     
     // Check browser compatibility
@@ -1019,4 +7235,7 @@ window.addEventListener('beforeunload', () => {
     if (window.faceMojiApp && window.faceMojiApp.currentStream) {
         window.faceMojiApp.currentStream.getTracks().forEach(track => track.stop());
     }
+    if (window.faceMojiApp && window.faceMojiApp.detectionWorker) {
+        window.faceMojiApp.detectionWorker.terminate();
+    }
 });
@@ -0,0 +1,218 @@
+/**
+ * FaceMoji - Service Worker
+ *
+ * Makes the app start instantly and work offline by caching:
+ * - The app shell (HTML, CSS, JavaScript)
+ * - The face-api.js bundle
+ * - Model weight manifests and shards
+ *
+ * The app shell and library are served from cache and refreshed in the
+ * background (stale-while-revalidate). Model weights are versioned and never
+ * change, so they are served cache-first. Pages can ask for the cache status
+ * with a `GET_STATUS` message.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `facemoji-shell-${CACHE_VERSION}`;
+const MODEL_CACHE = `facemoji-models-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './styles.css',
+    './script.js',
+    './detection-worker.js'
+];
+
+const FACE_API_URL = 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js';
+const MODEL_BASE_URL = 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights';
+
+// Models loaded at startup; others are cached the first time they are used
+const PRECACHED_MODELS = [
+    'tiny_face_detector_model',
+    'face_landmark_68_model',
+    'face_recognition_model',
+    'face_expression_model'
+];
+
+// Cross-origin hosts whose responses are worth keeping for offline use
+const CACHED_HOSTS = [
+    'cdn.jsdelivr.net',
+    'unpkg.com',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+let precacheStatus = { state: 'caching', cached: 0, total: 0 };
+let precacheUrls = null;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        // The app cannot run without its shell, so this part must succeed
+        const shellCache = await caches.open(SHELL_CACHE);
+        await shellCache.addAll(SHELL_FILES);
+
+        // Models are best-effort; anything missed is cached on first use
+        await precacheModels();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, MODEL_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('facemoji-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+        await refreshPrecacheStatus();
+        broadcast({ type: 'CACHE_STATUS', ...precacheStatus });
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'GET_STATUS') {
+        event.waitUntil(refreshPrecacheStatus().then(() => {
+            event.source.postMessage({ type: 'CACHE_STATUS', ...precacheStatus });
+        }));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+
+    if (isModelRequest(url)) {
+        event.respondWith(cacheFirst(request, MODEL_CACHE));
+    } else if (isSameOrigin || CACHED_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+/**
+ * Weight manifests and shards from any of the model locations loadModels() tries
+ */
+function isModelRequest(url) {
+    return url.pathname.includes('/weights/') || url.pathname.includes('/models/');
+}
+
+/**
+ * Fetch each precached model's manifest and the shards it lists
+ */
+async function precacheModels() {
+    const modelCache = await caches.open(MODEL_CACHE);
+    const shellCache = await caches.open(SHELL_CACHE);
+
+    const urls = [FACE_API_URL];
+    await Promise.all(PRECACHED_MODELS.map(async (model) => {
+        const manifestUrl = `${MODEL_BASE_URL}/${model}-weights_manifest.json`;
+        urls.push(manifestUrl);
+        try {
+            const response = await fetch(manifestUrl, { mode: 'cors' });
+            const manifest = await response.clone().json();
+            await modelCache.put(manifestUrl, response);
+            manifest.forEach(group => group.paths.forEach(path => urls.push(`${MODEL_BASE_URL}/${path}`)));
+        } catch (error) {
+            console.warn(`[sw] Could not precache ${model}:`, error.message);
+        }
+    }));
+
+    await Promise.allSettled(urls.map(async (url) => {
+        const cache = url === FACE_API_URL ? shellCache : modelCache;
+        if (await cache.match(url)) return;
+
+        const response = await fetch(url, { mode: 'cors' });
+        if (response.ok) {
+            await cache.put(url, response);
+        }
+    }));
+
+    await refreshPrecacheStatus(urls);
+}
+
+/**
+ * Count how many of the precache URLs are actually in the cache
+ */
+async function refreshPrecacheStatus(urls = precacheUrls) {
+    if (!urls) {
+        // Rebuild the URL list from cached manifests after a worker restart
+        const modelCache = await caches.open(MODEL_CACHE);
+        urls = [FACE_API_URL];
+        for (const model of PRECACHED_MODELS) {
+            const manifestUrl = `${MODEL_BASE_URL}/${model}-weights_manifest.json`;
+            urls.push(manifestUrl);
+            const response = await modelCache.match(manifestUrl);
+            if (response) {
+                const manifest = await response.json();
+                manifest.forEach(group => group.paths.forEach(path => urls.push(`${MODEL_BASE_URL}/${path}`)));
+            }
+        }
+    }
+
+    const results = await Promise.all(urls.map(url => caches.match(url)));
+    const cached = results.filter(Boolean).length;
+
+    precacheUrls = urls;
+    precacheStatus = {
+        state: cached === urls.length ? 'ready' : 'partial',
+        cached,
+        total: urls.length
+    };
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve from cache immediately and refresh the entry in the background,
+ * telling open pages when a shell file has changed
+ */
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok || response.type === 'opaque') {
+            if (cached && hasChanged(cached, response)) {
+                broadcast({ type: 'UPDATE_AVAILABLE', url: request.url });
+            }
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+function hasChanged(cached, fresh) {
+    const validators = ['etag', 'last-modified'];
+    return validators.some(header => {
+        const before = cached.headers.get(header);
+        const after = fresh.headers.get(header);
+        return before && after && before !== after;
+    });
+}
+
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,1303 @@
+/**
+ * FaceMoji - App tests
+ *
+ * Run with `node --test tests/` (Node 20+, no install or network needed).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserEnv, FakeElement } = require('./helpers/browser-env');
+
+const CDN_PATHS = [
+    'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights',
+    'https://unpkg.com/face-api.js@0.22.2/weights',
+    'https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@0.22.2/weights',
+    './models'
+];
+
+function probeUrl(path) {
+    return `${path}/tiny_face_detector_model-weights_manifest.json`;
+}
+
+// Objects created inside the vm context have that realm's prototypes, which
+// deepStrictEqual treats as different; compare their JSON shape instead
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function expressions(values) {
+    return {
+        happy: 0, sad: 0, angry: 0, fearful: 0, disgusted: 0, surprised: 0, neutral: 0,
+        ...values
+    };
+}
+
+describe('loadModels', () => {
+    it('probes the CDNs in order and loads from the first reachable one', async () => {
+        const env = createBrowserEnv({
+            fetch: (url) => {
+                if (url.startsWith(CDN_PATHS[0])) throw new Error('Network error');
+                if (url.startsWith(CDN_PATHS[1])) return { ok: false, status: 404 };
+                return { ok: true, status: 200 };
+            }
+        });
+        const app = await env.createApp();
+
+        assert.deepEqual(env.fetchCalls, CDN_PATHS.slice(0, 3).map(probeUrl));
+        assert.equal(app.modelPath, CDN_PATHS[2]);
+        assert.ok(env.faceapi.loads.length > 0);
+        assert.ok(env.faceapi.loads.every(load => load.uri === CDN_PATHS[2]));
+        assert.equal(env.storage.get('facemoji-model-path'), CDN_PATHS[2]);
+    });
+
+    it('tries the last working path first', async () => {
+        const env = createBrowserEnv({ storage: { 'facemoji-model-path': './models' } });
+        const app = await env.createApp();
+
+        assert.deepEqual(env.fetchCalls, [probeUrl('./models')]);
+        assert.equal(app.modelPath, './models');
+    });
+
+    it('loads the detector, landmark, recognition and expression models', async () => {
+        const env = createBrowserEnv();
+        await env.createApp();
+
+        assert.deepEqual(env.faceapi.loads.map(load => load.net), [
+            'tinyFaceDetector',
+            'faceLandmark68Net',
+            'faceRecognitionNet',
+            'faceExpressionNet'
+        ]);
+    });
+
+    it('fails with a clear message when no path is reachable', async () => {
+        const env = createBrowserEnv({ fetch: () => ({ ok: false, status: 503 }) });
+        const app = await env.createApp();
+
+        assert.deepEqual(env.fetchCalls, CDN_PATHS.map(probeUrl));
+        assert.equal(app.isModelLoaded, false);
+        assert.match(env.document.getElementById('loadingText').innerHTML, /Cannot download face detection models/);
+    });
+
+    it('loads the models only in the worker when one starts', async () => {
+        const env = createBrowserEnv({ worker: () => ({}) });
+        const app = await env.createApp();
+
+        assert.ok(app.detectionWorker);
+        assert.deepEqual(env.faceapi.loads, []);
+        assert.deepEqual(env.workerMessages.filter(message => message.type === 'loadModel').map(message => message.net), [
+            'tinyFaceDetector',
+            'faceLandmark68Net',
+            'faceRecognitionNet',
+            'faceExpressionNet'
+        ]);
+    });
+
+    it('stops the worker and loads on the main thread when the worker cannot load a model', async () => {
+        const env = createBrowserEnv({
+            worker: (message) => {
+                if (message.net === 'ssdMobilenetv1') throw new Error('Out of memory');
+                return {};
+            }
+        });
+        const app = await env.createApp();
+        const worker = app.detectionWorker;
+
+        await app.switchDetector('ssdMobilenetv1');
+        await app.mainThreadNetsLoading;
+
+        assert.equal(app.detectionWorker, null);
+        assert.equal(worker.worker.terminated, true);
+        assert.equal(app.settings.detector, 'ssdMobilenetv1');
+        assert.ok(env.faceapi.nets.ssdMobilenetv1.isLoaded);
+        assert.ok(env.faceapi.nets.faceExpressionNet.isLoaded);
+    });
+});
+
+describe('handleInitializationError', () => {
+    const cases = [
+        ['a model timeout', env => new (env.get('FaceMojiError'))('model-load', 'Model loading timeout after 30 seconds', {
+            title: 'Model loading is taking too long'
+        }), 'Model loading is taking too long'],
+        ['a model download failure', env => new (env.get('FaceMojiError'))('model-load', 'Last error: x'), 'Cannot download face detection models'],
+        ['a denied camera', env => new (env.get('FaceMojiError'))('camera-permission', 'Permission denied'), 'Camera permission denied'],
+        ['an unexpected error', () => new Error('Something unexpected'), 'Something unexpected']
+    ];
+
+    cases.forEach(([name, createError, expected]) => {
+        it(`explains ${name}`, async () => {
+            const env = createBrowserEnv();
+            const app = await env.createApp();
+
+            app.handleInitializationError(createError(env));
+
+            assert.match(env.document.getElementById('loadingText').innerHTML, new RegExp(expected));
+            assert.equal(env.document.getElementById('loadingProgress').style.width, '0%');
+            assert.ok(env.toasts().some(toast => toast.includes('Initialization Failed') && toast.includes(expected)));
+        });
+    });
+});
+
+describe('FaceMojiError', () => {
+    const cameraCases = [
+        ['NotAllowedError', 'camera-permission'],
+        ['SecurityError', 'camera-permission'],
+        ['NotReadableError', 'camera-busy'],
+        ['NotFoundError', 'camera-unavailable'],
+        ['TypeError', 'unknown']
+    ];
+
+    cameraCases.forEach(([errorName, code]) => {
+        it(`classifies a ${errorName} from getUserMedia as ${code}`, () => {
+            const env = createBrowserEnv();
+            const error = Object.assign(new Error('camera failed'), { name: errorName });
+
+            const typed = env.get('FaceMojiError').fromCameraError(error);
+
+            assert.equal(typed.code, code);
+            assert.equal(typed.message, 'camera failed');
+            assert.equal(typed.cause, error);
+        });
+    });
+
+    it('blames the insecure origin when camera access is missing or refused', () => {
+        const env = createBrowserEnv();
+        env.context.isSecureContext = false;
+        const FaceMojiError = env.get('FaceMojiError');
+
+        const refused = Object.assign(new Error('denied'), { name: 'NotAllowedError' });
+        assert.equal(FaceMojiError.fromCameraError(refused).code, 'insecure-context');
+
+        env.context.navigator.mediaDevices = undefined;
+        assert.equal(FaceMojiError.fromCameraError(new TypeError('x')).code, 'insecure-context');
+    });
+
+    it('reports a typed camera error when the camera cannot start', async () => {
+        const env = createBrowserEnv();
+        env.mediaDevices.failWith = Object.assign(new Error('Device in use'), { name: 'NotReadableError' });
+        const errors = [];
+        const app = await env.createApp();
+        app.addEventListener('error', (e) => errors.push(e.detail));
+
+        await app.toggleCamera();
+        await app.toggleCamera();
+
+        assert.equal(app.isCameraActive, false);
+        assert.ok(errors.some(detail => detail.context === 'Camera setup failed' && detail.code === 'camera-busy'));
+        assert.ok(env.toasts().some(toast => toast.includes('Camera is in use')));
+    });
+
+    it('fails with library-missing when face-api.js is not loaded', async () => {
+        const env = createBrowserEnv();
+        env.context.faceapi = undefined;
+        const app = await env.createApp();
+
+        assert.equal(app.isModelLoaded, false);
+        assert.match(env.document.getElementById('loadingText').innerHTML, /Failed to load face-api.js library/);
+        assert.equal(app.diagnostics.errors.at(-1).code, 'library-missing');
+    });
+});
+
+describe('diagnostics', () => {
+    it('records the probes, chosen model path and per-model timings', async () => {
+        const env = createBrowserEnv({
+            fetch: (url) => (url.startsWith(CDN_PATHS[0]) ? { ok: false, status: 404 } : { ok: true, status: 200 })
+        });
+        const app = await env.createApp();
+
+        const report = plain(app.getDiagnosticsReport());
+
+        assert.equal(report.format, 'facemoji-diagnostics');
+        assert.equal(report.models.path, CDN_PATHS[1]);
+        assert.deepEqual(report.models.probes.map(probe => [probe.path, probe.ok, probe.error]), [
+            [CDN_PATHS[0], false, 'HTTP 404'],
+            [CDN_PATHS[1], true, null]
+        ]);
+        assert.deepEqual(report.models.timings.map(timing => timing.net), [
+            'tinyFaceDetector',
+            'faceLandmark68Net',
+            'faceRecognitionNet',
+            'faceExpressionNet'
+        ]);
+        assert.ok(report.models.timings.every(timing => timing.ok && timing.duration >= 0));
+        assert.equal(report.app.modelLoaded, true);
+    });
+
+    it('runs the checks without opening a second camera stream', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const requests = env.mediaDevices.requests.length;
+
+        await app.runDiagnostics();
+
+        const checks = plain(app.diagnostics.results);
+        assert.equal(env.mediaDevices.requests.length, requests);
+        assert.equal(checks.camera.access, true);
+        assert.deepEqual(checks.camera.devices, ['Front Camera', 'Back Camera']);
+        assert.ok(checks.network.every(test => test.ok));
+        assert.ok(checks.libraries.find(test => test.name === 'face-api.js').ok);
+    });
+
+    it('keeps only the most recent errors', () => {
+        const env = createBrowserEnv();
+        const diagnostics = new (env.get('Diagnostics'))({ maxErrors: 2 });
+
+        ['first', 'second', 'third'].forEach(message => diagnostics.recordError('Test', new Error(message)));
+
+        assert.deepEqual(plain(diagnostics.errors.map(entry => entry.message)), ['second', 'third']);
+        assert.ok(diagnostics.errors.every(entry => entry.code === 'unknown'));
+    });
+});
+
+describe('updateEmotionData', () => {
+    it('averages expressions across faces and picks the dominant emotion', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.emotionSmoother.configure({ method: 'none', dwellTime: 0 });
+
+        app.updateEmotionData([
+            { expressions: expressions({ happy: 0.9, neutral: 0.1 }) },
+            { expressions: expressions({ happy: 0.5, sad: 0.4, neutral: 0.1 }) },
+            { detection: {} }
+        ]);
+
+        // Faces without expressions still count towards the average
+        assert.ok(Math.abs(app.emotionData.happy - 1.4 / 3) < 1e-9);
+        assert.ok(Math.abs(app.emotionData.sad - 0.4 / 3) < 1e-9);
+        assert.ok(Math.abs(app.emotionData.neutral - 0.2 / 3) < 1e-9);
+        assert.equal(app.emotionData.angry, 0);
+        assert.equal(app.dominantEmotion, 'happy');
+    });
+
+    it('emits emotionchange when the overall emotion changes', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.emotionSmoother.configure({ method: 'none', dwellTime: 0 });
+        const changes = [];
+        app.addEventListener('emotionchange', (e) => changes.push(e.detail));
+
+        app.updateEmotionData([{ expressions: expressions({ surprised: 0.8 }) }]);
+        app.updateEmotionData([{ expressions: expressions({ surprised: 0.8 }) }]);
+
+        assert.deepEqual(plain(changes), [{ trackId: null, emotion: 'surprised', previous: null }]);
+    });
+});
+
+describe('head pose', () => {
+    const toRadians = degrees => degrees * Math.PI / 180;
+
+    // Project the estimator's own model points after rotating them by a known
+    // pose; pitch > 0 looks up, so the x rotation is by -pitch
+    function posedLandmarks(env, { yaw = 0, pitch = 0, roll = 0 }) {
+        const [a, b, c] = [toRadians(-pitch), toRadians(yaw), toRadians(roll)];
+        const rotate = ([x, y, z]) => {
+            [y, z] = [y * Math.cos(a) - z * Math.sin(a), y * Math.sin(a) + z * Math.cos(a)];
+            [x, z] = [x * Math.cos(b) + z * Math.sin(b), -x * Math.sin(b) + z * Math.cos(b)];
+            [x, y] = [x * Math.cos(c) - y * Math.sin(c), x * Math.sin(c) + y * Math.cos(c)];
+            return [x, y, z];
+        };
+        const positions = Array.from({ length: 68 }, () => ({ x: 320, y: 240 }));
+        env.get('HEAD_MODEL_POINTS').forEach(({ index, point }) => {
+            const [x, y] = rotate(point);
+            positions[index] = { x: 320 + x * 0.4, y: 240 - y * 0.4 };
+        });
+        return positions;
+    }
+
+    it('recovers yaw, pitch and roll from the landmarks', () => {
+        const env = createBrowserEnv();
+        const HeadPoseEstimator = env.get('HeadPoseEstimator');
+
+        const pose = HeadPoseEstimator.estimate(posedLandmarks(env, { yaw: 25, pitch: -10, roll: 5 }));
+
+        assert.ok(Math.abs(pose.yaw - 25) < 0.01);
+        assert.ok(Math.abs(pose.pitch + 10) < 0.01);
+        assert.ok(Math.abs(pose.roll - 5) < 0.01);
+        assert.equal(HeadPoseEstimator.estimate([]), null);
+    });
+
+    it('tracks how long each face looks at the camera', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const face = positions => ({
+            detection: { box: { x: 200, y: 100, width: 240, height: 280 }, score: 0.9 },
+            landmarks: { positions }
+        });
+
+        app.stopCamera();
+        const frames = [[0, {}], [1000, {}], [1500, { yaw: 40 }]];
+        frames.forEach(([timestamp, pose]) => {
+            const detections = [face(posedLandmarks(env, pose))];
+            app.tracker.update(detections, timestamp);
+            app.updateHeadPoses(detections, timestamp);
+        });
+
+        const [track] = app.tracker.getActiveTracks();
+        assert.equal(track.attentive, false);
+        assert.equal(track.attention.attentive, 1000);
+        assert.equal(track.attention.total, 1500);
+        assert.ok(Math.abs(track.pose.yaw - 40) < 0.01);
+    });
+
+    it('does not score carried-over landmarks as a new pose', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const face = (positions, reused) => ({
+            detection: { box: { x: 200, y: 100, width: 240, height: 280 }, score: 0.9 },
+            landmarks: { positions },
+            reusedFacePasses: reused
+        });
+
+        app.stopCamera();
+        const frames = [[0, { yaw: 40 }, false], [500, { yaw: 40 }, true], [1000, {}, false]];
+        frames.forEach(([timestamp, pose, reused]) => {
+            const detections = [face(posedLandmarks(env, pose), reused)];
+            app.tracker.update(detections, timestamp);
+            app.updateHeadPoses(detections, timestamp);
+        });
+
+        const [track] = app.tracker.getActiveTracks();
+        assert.equal(track.attention.total, 1000);
+        assert.equal(track.attention.attentive, 1000);
+        assert.equal(app.attentionTotals.total, 1000);
+    });
+});
+
+describe('blink, drowsiness and yawn detection', () => {
+    // Landmarks with the given eye openness (EAR) and mouth openness (MAR)
+    function faceLandmarks({ ear = 0.3, mar = 0 }) {
+        const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+        [36, 42].forEach((start, eye) => {
+            const x = eye * 60;
+            const half = ear * 30 / 2;
+            [[x, 0], [x + 10, -half], [x + 20, -half], [x + 30, 0], [x + 20, half], [x + 10, half]]
+                .forEach(([px, py], i) => { positions[start + i] = { x: px, y: py }; });
+        });
+        const half = mar * 40 / 2;
+        [[0, 0], [10, -half], [20, -half], [30, -half], [40, 0], [30, half], [20, half], [10, half]]
+            .forEach(([px, py], i) => { positions[60 + i] = { x: px, y: 100 + py }; });
+        return positions;
+    }
+
+    it('counts short eye closures as blinks and long ones as drowsiness', () => {
+        const env = createBrowserEnv();
+        const monitor = new (env.get('BehaviorMonitor'))({ minRateTime: 0 });
+        const types = [];
+        const feed = (t, ear) => monitor.update('a', faceLandmarks({ ear }), t).events.forEach(e => types.push(e.type));
+
+        feed(0, 0.3);
+        feed(100, 0.1);
+        feed(250, 0.3);          // 150 ms closure: blink
+        feed(1000, 0.1);
+        feed(2000, 0.1);
+        feed(2600, 0.1);         // 1600 ms closed: drowsiness, reported once
+        feed(3000, 0.1);
+        const { state } = monitor.update('a', faceLandmarks({ ear: 0.3 }), 3200);
+
+        assert.deepEqual(types, ['blink', 'drowsiness']);
+        assert.equal(state.blinks, 1);
+        assert.equal(state.drowsy, false);
+        assert.ok(Math.abs(state.blinkRate - 60000 / 3200) < 1e-9);
+    });
+
+    it('reports the mouth opening and a yawn once it stays open', () => {
+        const env = createBrowserEnv();
+        const monitor = new (env.get('BehaviorMonitor'))();
+        const types = [];
+        [[0, 0], [100, 0.8], [1000, 0.8], [1700, 0.8], [2000, 0.8], [2100, 0.1]].forEach(([t, mar]) => {
+            monitor.update('a', faceLandmarks({ mar }), t).events.forEach(e => types.push(e.type));
+        });
+
+        assert.deepEqual(types, ['mouthopen', 'yawn']);
+        assert.equal(monitor.update('a', faceLandmarks({}), 2200).state.yawns, 1);
+    });
+
+    it('emits drowsiness events and warns with a toast', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.stopCamera();
+        const events = [];
+        app.addEventListener('drowsiness', (e) => events.push(e.detail));
+        const face = ear => ({
+            detection: { box: { x: 0, y: 0, width: 100, height: 120 }, score: 0.9 },
+            landmarks: { positions: faceLandmarks({ ear }) }
+        });
+
+        [[0, 0.1], [2000, 0.1]].forEach(([timestamp, ear]) => {
+            const detections = [face(ear)];
+            app.tracker.update(detections, timestamp);
+            app.updateBehavior(detections, timestamp);
+        });
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].duration, 2000);
+        assert.ok(env.toasts().some(toast => toast.includes('Drowsiness Alert')));
+        assert.equal(app.tracker.getActiveTracks()[0].behavior.drowsy, true);
+    });
+
+    it('escapes enrolled names in the drowsiness toast but not in the event', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const events = [];
+        app.addEventListener('drowsiness', (e) => events.push(e.detail));
+        const name = '<img src=x onerror=alert(1)>';
+
+        app.handleBehaviorEvent({ id: 1, identity: name }, { type: 'drowsiness', duration: 1500 });
+
+        assert.equal(events[0].label, name);
+        const toast = env.toasts().find(markup => markup.includes('Drowsiness Alert'));
+        assert.ok(toast.includes('&#60;img src=x onerror=alert(1)&#62;: eyes closed for 1.5s'));
+    });
+});
+
+describe('age and gender estimation', () => {
+    const face = (age, gender, genderProbability) => ({
+        detection: { box: { x: 200, y: 100, width: 240, height: 280 }, score: 0.9 },
+        age,
+        gender,
+        genderProbability
+    });
+
+    it('is off by default and does not download the model', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+
+        assert.equal(app.settings.ageGenderEnabled, false);
+        assert.ok(!env.faceapi.loads.some(load => load.net === 'ageGenderNet'));
+    });
+
+    it('loads the model when turned on and shows the privacy notice', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+
+        await app.setAgeGenderEnabled(true);
+
+        assert.equal(app.settings.ageGenderEnabled, true);
+        assert.equal(env.faceapi.loads.at(-1).net, 'ageGenderNet');
+        assert.equal(env.document.getElementById('ageGenderNotice').classList.contains('hidden'), false);
+    });
+
+    it('loads the model at startup when it was left on', async () => {
+        const env = createBrowserEnv();
+        await env.createApp({ settings: { ageGenderEnabled: true } });
+
+        assert.ok(env.faceapi.loads.some(load => load.net === 'ageGenderNet'));
+    });
+
+    it('smooths age and gender per face', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.stopCamera();
+        await app.setAgeGenderEnabled(true);
+
+        [face(30, 'male', 0.9), face(40, 'female', 0.6)].forEach((detection, frame) => {
+            app.tracker.update([detection], frame * 100);
+            app.smoothAgeGender([detection]);
+        });
+
+        const [track] = app.tracker.getActiveTracks();
+        assert.ok(Math.abs(track.ageGender.age - 31.5) < 1e-9);
+        assert.equal(track.ageGender.gender, 'male');
+        assert.ok(Math.abs(track.ageGender.genderProbability - (0.9 - 0.15 * 0.5)) < 1e-9);
+        assert.equal(app.describeAgeGender(track), '♂ ~32');
+
+        app.tracker.update([], 300);
+        assert.equal(app.tracker.getActiveTracks().length, 0);
+
+        await app.setAgeGenderEnabled(false);
+        assert.equal(track.ageGender, null);
+    });
+});
+
+describe('privacy mode', () => {
+    const face = (x) => ({ detection: { box: { x, y: 100, width: 100, height: 100 }, score: 0.9 } });
+
+    function recordingContext(width) {
+        const draws = [];
+        return {
+            draws,
+            canvas: { width },
+            save() {},
+            restore() {},
+            drawImage: (...args) => draws.push(args)
+        };
+    }
+
+    it('masks every face with a padded copy of the frame, scaled to the target', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { privacyMode: 'pixelate', privacyPadding: 0.2 } });
+        app.stopCamera();
+
+        const detections = [face(100), face(400)];
+        app.tracker.update(detections, 0);
+        const ctx = recordingContext(1280);
+        app.drawPrivacyMasks(ctx, detections, { scale: 2 });
+
+        assert.equal(ctx.draws.length, 2);
+        assert.deepEqual(ctx.draws[0].slice(5), [160, 160, 280, 280]);
+        assert.equal(ctx.imageSmoothingEnabled, false);
+    });
+
+    it('spares enrolled and selected faces when hiding unknown faces only', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { privacyMode: 'blur', privacyScope: 'unknown' } });
+        app.stopCamera();
+
+        const detections = [face(0), face(200), face(400)];
+        app.tracker.update(detections, 0);
+        const [known, selected] = app.tracker.getActiveTracks();
+        known.identity = 'Ada';
+        app.togglePrivacyExempt(selected.id);
+
+        const ctx = recordingContext(640);
+        app.drawPrivacyMasks(ctx, detections);
+        assert.equal(ctx.draws.length, 1);
+        assert.equal(ctx.draws[0][5], 380);
+
+        app.settings.privacyScope = 'all';
+        assert.equal(app.shouldObscureFace(known), true);
+        app.settings.privacyMode = 'off';
+        assert.equal(app.shouldObscureFace(known), false);
+    });
+
+    it('masks faces past the max faces limit in exported frames', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { privacyMode: 'blur', maxFaces: 2 } });
+        app.pauseDetection();
+
+        env.faceapi.detections = [face(0), face(150), face(300), face(450)];
+        await app.analyzeFrame();
+        assert.equal(app.lastDetections.length, 2);
+
+        const ctx = recordingContext(640);
+        app.drawMediaFrame(ctx);
+        // The frame itself, then one mask per face
+        assert.equal(ctx.draws.length, 5);
+    });
+
+    it('masks faces past the max faces limit with the SSD detector', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({
+            settings: { detector: 'ssdMobilenetv1', privacyMode: 'pixelate', maxFaces: 2 }
+        });
+        app.pauseDetection();
+
+        env.faceapi.detections = [face(0), face(150), face(300), face(450)];
+        await app.analyzeFrame();
+        assert.equal(app.lastDetections.length, 2);
+        assert.equal(app.privacyDetections.length, 4);
+
+        app.settings.privacyMode = 'off';
+        assert.equal(app.getDetectorParams().maxResults, 2);
+    });
+
+    it('keeps masking a briefly lost face, with padding that grows while it may move', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { privacyMode: 'pixelate', privacyPadding: 0 } });
+        app.pauseDetection();
+        const now = Date.now();
+        env.context.performance.now = () => now;
+
+        app.tracker.update([face(200)], now - 500);
+        app.tracker.update([], now);
+        const ctx = recordingContext(640);
+        app.drawPrivacyMasks(ctx, []);
+
+        assert.equal(ctx.draws.length, 1);
+        // Half a second since it was seen: a quarter of its size more on each side
+        assert.deepEqual(ctx.draws[0].slice(5), [150, 50, 200, 200]);
+    });
+});
+
+describe('overlay layers', () => {
+    const landmarks = () => ({
+        positions: Array.from({ length: 68 }, (_, index) => ({ x: 100 + index, y: 100 + (index % 5) }))
+    });
+    const face = () => ({ detection: { box: { x: 100, y: 100, width: 100, height: 100 }, score: 0.9 }, landmarks: landmarks() });
+
+    function drawingContext(width) {
+        const calls = [];
+        const ctx = new Proxy({ canvas: { width, height: 480 } }, {
+            get(target, property) {
+                if (property in target) return target[property];
+                return (...args) => calls.push([property, ...args]);
+            },
+            set(target, property, value) {
+                target[property] = value;
+                return true;
+            }
+        });
+        return { ctx, calls: name => calls.filter(call => call[0] === name) };
+    }
+
+    it('draws only the enabled layers', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({
+            settings: { overlayBoxes: false, overlayLabels: false, overlayConfidence: true, overlayLandmarks: 'contours', overlayTheme: 'highContrast' }
+        });
+        const { ctx, calls } = drawingContext(640);
+
+        app.drawFaceOverlay(ctx, face(), null, app.getOverlayTheme());
+
+        assert.equal(calls('strokeRect').length, 0);
+        assert.deepEqual(calls('fillText').map(call => call[1]), ['90%']);
+        assert.equal(calls('moveTo').length, 9);
+        assert.equal(calls('closePath').length, 4);
+        assert.equal(calls('arc').length, 0);
+        assert.equal(ctx.strokeStyle, '#00ffff');
+    });
+
+    it('mirrors camera overlays and keeps stickers upright', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { mirrorView: true } });
+        assert.ok(env.document.getElementById('videoFrame').classList.contains('mirrored'));
+        assert.equal(app.isMirrored(), true);
+
+        const mirrored = app.mirrorDetection(face(), 640);
+        assert.deepEqual(plain(mirrored.detection.box), { x: 440, y: 100, width: 100, height: 100 });
+        assert.equal(mirrored.landmarks.positions[0].x, 540);
+        assert.equal(mirrored.detection.score, 0.9);
+        // A mirror reverses the head's roll rather than turning the sticker upside down
+        assert.ok(Math.abs(app.getStickerPlacement(mirrored).angle + app.getStickerPlacement(face()).angle) < 1e-9);
+
+        const { ctx, calls } = drawingContext(640);
+        app.drawMediaFrame(ctx);
+        assert.deepEqual(calls('translate')[0], ['translate', 640, 0]);
+        assert.deepEqual(calls('scale')[0], ['scale', -1, 1]);
+
+        app.sourceType = 'video';
+        assert.equal(app.isMirrored(), false);
+    });
+
+    it('escapes the file name of a sticker it cannot read', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        env.context.createImageBitmap = async () => {
+            throw new Error('Unreadable image');
+        };
+
+        await app.setSticker('happy', { type: 'image/png', name: '<img src=x onerror=alert(1)>.png' });
+
+        const toast = env.toasts().find(markup => markup.includes('Sticker Failed'));
+        assert.ok(toast.includes('&#60;img src=x onerror=alert(1)&#62;.png'));
+        assert.ok(!toast.includes('<img'));
+    });
+});
+
+describe('grid view', () => {
+    const face = (x, happy) => ({
+        detection: { box: { x, y: 100, width: 100, height: 100 }, score: 0.8 },
+        expressions: expressions({ happy, neutral: 1 - happy })
+    });
+
+    async function openGrid() {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { smoothingMethod: 'none', emotionDwellTime: 0 } });
+        await app.toggleCameraGrid();
+        app.pauseDetection();
+        return { env, app };
+    }
+
+    it('opens every camera and detects on them in turn', async () => {
+        const { env, app } = await openGrid();
+        const updates = [];
+        app.addEventListener('gridupdate', (e) => updates.push(plain(e.detail)));
+
+        assert.deepEqual(env.mediaDevices.requests.slice(-2).map(request => request.video.deviceId.exact), ['cam-1', 'cam-2']);
+        assert.equal(app.cameraGrid.cameras.length, 2);
+
+        env.faceapi.detections = [face(0, 0.9), face(200, 0.9)];
+        const first = app.cameraGrid.cameras[app.cameraGrid.nextIndex];
+        await app.analyzeGridFrame();
+        env.faceapi.detections = [face(0, 0.1)];
+        await app.analyzeGridFrame();
+
+        const summary = updates.at(-1);
+        assert.equal(summary.faceCount, 3);
+        const counts = Object.fromEntries(summary.cameras.map(camera => [camera.deviceId, camera.faceCount]));
+        assert.equal(counts[first.deviceId], 2);
+        assert.equal(Object.values(counts).reduce((sum, count) => sum + count, 0), 3);
+        assert.equal(summary.cameras.find(camera => camera.deviceId === first.deviceId).emotion, 'happy');
+        assert.equal(env.document.getElementById('faceCount').textContent, 3);
+    });
+
+    it('skips rule actions that capture the single view', async () => {
+        const { env, app } = await openGrid();
+        app.settings.rules = env.get('RulesEngine').sanitize([{ id: 'r1', trigger: 'faceCount', operator: '>', value: 0, duration: 0, action: 'screenshot' }]);
+        const fired = [];
+        app.addEventListener('rulefired', (e) => fired.push(e.detail.action));
+
+        env.faceapi.detections = [face(0, 0.9)];
+        await app.analyzeGridFrame();
+
+        assert.deepEqual(fired, ['screenshot']);
+        assert.ok(env.toasts().some(toast => toast.includes('Rule Skipped')));
+        assert.ok(!env.toasts().some(toast => toast.includes('Camera Not Active')));
+    });
+
+    it('returns to the single camera when closed', async () => {
+        const { env, app } = await openGrid();
+        const gridStreams = app.cameraGrid.cameras.map(camera => camera.stream);
+
+        await app.toggleCameraGrid();
+
+        assert.equal(app.cameraGrid, null);
+        assert.ok(gridStreams.every(stream => stream.track.stopped));
+        assert.equal(app.isCameraActive, true);
+        assert.equal(env.document.getElementById('videoFrame').classList.contains('hidden'), false);
+    });
+
+    it('stops the cameras it was opening when closed meanwhile', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const getUserMedia = env.mediaDevices.getUserMedia;
+        let closing = null;
+        env.mediaDevices.getUserMedia = async (constraints) => {
+            const stream = await getUserMedia(constraints);
+            closing = closing || app.toggleCameraGrid();
+            return stream;
+        };
+
+        await app.toggleCameraGrid();
+        await closing;
+
+        const [singleView, ...earlier] = env.mediaDevices.streams.slice().reverse();
+        assert.equal(app.cameraGrid, null);
+        assert.equal(app.isCameraActive, true);
+        assert.equal(singleView.track.stopped, false);
+        assert.ok(earlier.every(stream => stream.track.stopped));
+        assert.equal(env.document.getElementById('cameraGrid').children.length, 0);
+    });
+
+    it('escapes the labels of cameras it could not open', async () => {
+        const env = createBrowserEnv();
+        env.mediaDevices.devices.push({ kind: 'videoinput', deviceId: 'cam-3', label: '<img src=x onerror=alert(1)>' });
+        const app = await env.createApp();
+        const getUserMedia = env.mediaDevices.getUserMedia;
+        env.mediaDevices.getUserMedia = async (constraints) => {
+            if (constraints.video.deviceId?.exact === 'cam-3') throw new Error('Device busy');
+            return getUserMedia(constraints);
+        };
+
+        await app.toggleCameraGrid();
+
+        const toast = env.toasts().find(markup => markup.includes('Some Cameras Unavailable'));
+        assert.ok(toast.includes('&#60;img src=x onerror=alert(1)&#62;'));
+        assert.ok(!toast.includes('<img'));
+    });
+
+    it('needs at least two cameras', async () => {
+        const env = createBrowserEnv();
+        env.mediaDevices.devices = env.mediaDevices.devices.slice(0, 1);
+        const app = await env.createApp();
+
+        await app.toggleCameraGrid();
+
+        assert.equal(app.cameraGrid, null);
+        assert.equal(app.isCameraActive, true);
+        assert.ok(env.toasts().some(toast => toast.includes('Multiple Cameras Needed')));
+    });
+});
+
+describe('performance governor', () => {
+    async function slowFrames(detector) {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { detector, governorEnabled: true, targetFps: 30 } });
+        app.stopCamera();
+        const start = env.context.performance.now();
+        const strategies = [1, 2, 3].map(step => {
+            app.governor.recordFrame(100, start + step * 1000);
+            return app.governor.getStrategy();
+        });
+        return { app, strategies };
+    }
+
+    it('shrinks the TinyFaceDetector input before alternating face passes', async () => {
+        const { strategies } = await slowFrames('tinyFaceDetector');
+        assert.deepEqual(strategies, ['Smaller input', 'Smaller input', 'Alternate-frame landmarks']);
+    });
+
+    it('goes straight to alternating face passes with SSD, which has no input size', async () => {
+        const { app, strategies } = await slowFrames('ssdMobilenetv1');
+        assert.deepEqual(strategies, ['Alternate-frame landmarks', 'Alternate-frame landmarks', 'Alternate-frame landmarks']);
+
+        await app.switchDetector('tinyFaceDetector');
+        assert.equal(app.governor.getStrategy(), 'Full quality');
+        assert.equal(app.governor.levels.length, 5);
+    });
+});
+
+describe('settings', () => {
+    it('forgets the preferred camera on reset', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        await app.switchCamera('cam-2');
+
+        await app.applySettings(app.defaultSettings);
+
+        assert.equal(app.settings.preferredCamera, null);
+    });
+
+    it('keeps an imported exit threshold at or below the current enter threshold', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { emotionEnterThreshold: 0.4 } });
+        const file = { text: async () => JSON.stringify({ version: 1, settings: { emotionExitThreshold: 0.7 } }) };
+
+        await app.importSettings(file);
+
+        assert.equal(app.settings.emotionExitThreshold, 0.4);
+        assert.ok(env.toasts().some(toast => toast.includes('emotionExitThreshold')));
+    });
+});
+
+describe('rules', () => {
+    const happyFace = (happy) => ({ expressions: expressions({ happy }) });
+    const rule = (fields) => ({ id: 'r1', trigger: 'emotion', emotion: 'happy', operator: '>', value: 0.8, duration: 2, action: 'toast', ...fields });
+
+    it('fires once a condition has held for its duration, then re-arms when it stops', () => {
+        const env = createBrowserEnv();
+        const RulesEngine = env.get('RulesEngine');
+        const engine = new RulesEngine();
+        const rules = [RulesEngine.sanitizeRule(rule())];
+        const frame = (happy) => ({ faceCount: 1, faces: [happyFace(happy)] });
+
+        assert.equal(engine.evaluate(rules, frame(0.9), 0).length, 0);
+        assert.equal(engine.evaluate(rules, frame(0.9), 1900).length, 0);
+        assert.equal(engine.evaluate(rules, frame(0.9), 2000).length, 1);
+        assert.equal(engine.evaluate(rules, frame(0.9), 5000).length, 0);
+
+        engine.evaluate(rules, frame(0.5), 5100);
+        engine.evaluate(rules, frame(0.9), 5200);
+        assert.equal(engine.evaluate(rules, frame(0.9), 7200).length, 1);
+    });
+
+    it('watches the face count', () => {
+        const env = createBrowserEnv();
+        const RulesEngine = env.get('RulesEngine');
+        const engine = new RulesEngine();
+        const rules = [RulesEngine.sanitizeRule(rule({ trigger: 'faceCount', operator: '=', value: 0, duration: 10 }))];
+
+        engine.evaluate(rules, { faceCount: 0, faces: [] }, 0);
+        assert.equal(engine.evaluate(rules, { faceCount: 0, faces: [] }, 9999).length, 0);
+        assert.equal(engine.evaluate(rules, { faceCount: 0, faces: [] }, 10000).length, 1);
+    });
+
+    it('keeps valid rules in saved settings and drops broken ones', () => {
+        const env = createBrowserEnv();
+        const SettingsStore = env.get('SettingsStore');
+        const { settings, adjusted } = new SettingsStore().validate({
+            rules: [rule({ value: 3 }), { trigger: 'weather', action: 'toast' }, rule({ id: 'r2', operator: '=' })]
+        });
+
+        assert.equal(settings.rules.length, 2);
+        assert.equal(settings.rules[0].value, 1);
+        assert.equal(settings.rules[1].operator, '>');
+        assert.deepEqual(plain(adjusted), ['rules']);
+    });
+
+    it('saves added, edited and removed rules', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const savedRules = () => JSON.parse(env.storage.get('facemoji-settings')).settings.rules;
+
+        app.addRule();
+        const [added] = savedRules();
+        assert.equal(added.action, 'toast');
+
+        app.updateRule(added.id, 'action', 'sound');
+        assert.equal(savedRules()[0].action, 'sound');
+
+        app.removeRule(added.id);
+        assert.deepEqual(savedRules(), []);
+    });
+
+    it('ignores rules in URL presets', async () => {
+        const hook = JSON.stringify([rule({ action: 'webhook', url: 'http://192.168.1.1/hook', duration: 0 })]);
+        const env = createBrowserEnv({ location: { search: `?maxFaces=3&rules=${encodeURIComponent(hook)}` } });
+        const app = await env.createApp();
+
+        assert.equal(app.settings.maxFaces, 3);
+        assert.deepEqual(plain(app.settings.rules), []);
+    });
+
+    it('runs the action of a rule that fires', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { rules: [rule({ message: '<b>Smile!</b>' })] } });
+        const fired = [];
+        app.addEventListener('rulefired', (e) => fired.push(plain(e.detail)));
+
+        app.evaluateRules([happyFace(0.9)], 0);
+        app.evaluateRules([happyFace(0.9)], 2500);
+
+        assert.deepEqual(fired, [{ ruleId: 'r1', action: 'toast', description: 'Any face happy > 0.8 for 2 s → Show a toast' }]);
+        assert.ok(env.toasts().some(toast => toast.includes('&#60;b&#62;Smile!')));
+    });
+
+    it('posts to local webhooks only', async () => {
+        const requests = [];
+        const env = createBrowserEnv({
+            fetch: (url, init) => {
+                if (init && init.method === 'POST') requests.push({ url, body: JSON.parse(init.body) });
+                return { ok: true, status: 200 };
+            }
+        });
+        const app = await env.createApp();
+
+        await app.postRuleWebhook(rule({ action: 'webhook', url: 'http://localhost:8080/hook' }), [{ trackId: 1, expressions: null }]);
+        await app.postRuleWebhook(rule({ action: 'webhook', url: 'https://example.com/hook' }), []);
+
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].url, 'http://localhost:8080/hook');
+        assert.equal(requests[0].body.faceCount, 1);
+        assert.equal(requests[0].body.rule.id, 'r1');
+        assert.ok(env.toasts().some(toast => toast.includes('Webhook Blocked')));
+    });
+});
+
+describe('emotion calibration', () => {
+    const serious = () => expressions({ sad: 0.4, neutral: 0.55, happy: 0.05 });
+
+    it('reads a serious resting face as neutral and stretches a prompted smile', () => {
+        const env = createBrowserEnv();
+        const EmotionCalibration = env.get('EmotionCalibration');
+        const baseline = EmotionCalibration.build({ neutral: [serious(), serious()], happy: [expressions({ happy: 0.5, neutral: 0.5 })] });
+
+        const resting = plain(EmotionCalibration.apply(serious(), baseline));
+        assert.equal(resting.neutral, 1);
+        assert.equal(resting.sad, 0);
+
+        const smile = plain(EmotionCalibration.apply(expressions({ happy: 0.5, sad: 0.1, neutral: 0.4 }), baseline));
+        assert.ok(smile.happy > 0.7);
+        assert.equal(smile.sad, 0);
+        assert.ok(Math.abs(Object.values(smile).reduce((sum, value) => sum + value, 0) - 1) < 1e-9);
+    });
+
+    it('prefers an enrolled person\'s baseline over the session one', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const own = { rest: {}, peaks: {} };
+        app.sessionBaseline = { rest: {}, peaks: {} };
+        app.galleryPeople = [{ id: 1, name: 'Alice', descriptors: [], baseline: own }];
+
+        assert.equal(app.getEmotionBaseline({ identity: 'Alice' }), own);
+        assert.equal(app.getEmotionBaseline({ identity: 'Bob' }), app.sessionBaseline);
+        assert.equal(app.getEmotionBaseline(null), app.sessionBaseline);
+    });
+
+    it('records a session baseline and rescales later frames', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const face = () => ({ trackId: 1, detection: { box: { x: 0, y: 0, width: 10, height: 10 }, score: 0.9 }, expressions: serious() });
+
+        app.showCalibration();
+        app.calibration.capturing = true;
+        app.calibration.pending = [];
+        for (let i = 0; i < 5; i++) app.collectCalibrationSample([face()]);
+        app.collectCalibrationSample([face(), face()]);
+        assert.equal(app.calibration.pending.length, 5);
+
+        app.calibration.samples.neutral = app.calibration.pending;
+        app.calibration.capturing = false;
+        await app.saveCalibration();
+        assert.ok(app.sessionBaseline);
+        assert.equal(app.calibration, null);
+        assert.match(env.document.getElementById('calibrationStatus').textContent, /this session/);
+
+        const detections = [face()];
+        app.calibrateExpressions(detections);
+        assert.equal(detections[0].expressions.neutral, 1);
+        assert.equal(detections[0].rawExpressions.sad, 0.4);
+
+        app.settings.calibrationEnabled = false;
+        const raw = [face()];
+        app.calibrateExpressions(raw);
+        assert.equal(raw[0].expressions.sad, 0.4);
+    });
+});
+
+describe('session dashboard', () => {
+    it('adds up face time, face counts and emotions per face', () => {
+        const env = createBrowserEnv();
+        const SessionStats = env.get('SessionStats');
+        const stats = new SessionStats();
+        const alice = {};
+        const bob = {};
+        const face = (track, label, dominant) => ({ track, label, dominant, expressions: expressions({ [dominant]: 1 }) });
+
+        stats.update([], null, 0);
+        stats.update([face(alice, 'Alice', 'happy')], 'happy', 1000);
+        stats.update([face(alice, 'Alice', 'happy'), face(bob, 'Face 2', 'sad')], 'happy', 2000);
+        stats.update([face(alice, 'Alice', 'surprised')], 'surprised', 3000);
+        // A long pause counts as one second
+        stats.update([], null, 60000);
+
+        const summary = plain(stats.summarize());
+        assert.equal(summary.duration, 4000);
+        assert.equal(summary.faceTime, 3000);
+        assert.equal(summary.peakFaces, 2);
+        assert.equal(summary.averageFaces, 1);
+        assert.equal(summary.dominantEmotion, 'happy');
+        assert.equal(summary.emotionDistribution.happy, 2 / 3);
+        assert.deepEqual(summary.faces.map(entry => [entry.label, entry.timeInFrame, entry.dominant]), [['Alice', 3000, 'happy'], ['Face 2', 1000, 'sad']]);
+        assert.equal(summary.faces[0].distribution.surprised, 1 / 3);
+        assert.deepEqual(summary.histogram.map(bucket => bucket.count), [2, 0, 0, 0, 0]);
+    });
+
+    it('exports a self-contained report with escaped names', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const track = {};
+        app.sessionStats.update([{ track, label: '<Alice>', expressions: null, dominant: null }], null, 0);
+        app.sessionStats.update([{ track, label: '<Alice>', expressions: null, dominant: null }], null, 500);
+
+        env.document.getElementById('dashboardBtn').click();
+        const html = env.document.getElementById('dashboardFrame').srcdoc;
+
+        assert.ok(!env.document.getElementById('dashboardModal').classList.contains('hidden'));
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.ok(html.includes('&#60;Alice&#62;'));
+        assert.ok(!/<script|<link|src=/.test(html));
+    });
+});
+
+describe('photo booth', () => {
+    const image = (width, height, pixel) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) data.fill(pixel(i % width, Math.floor(i / width)), i * 4, i * 4 + 3);
+        return { data, width, height };
+    };
+
+    it('starts the countdown once every face has smiled at the camera long enough', () => {
+        const env = createBrowserEnv();
+        const PhotoBooth = env.get('PhotoBooth');
+        const booth = new PhotoBooth({ smileThreshold: 0.7, holdTime: 500 });
+        booth.start();
+
+        assert.equal(booth.update([{ happy: 0.9 }, { happy: 0.4 }], 0), false);
+        assert.equal(booth.update([{ happy: 0.9 }, { happy: 0.8, attentive: false }], 100), false);
+        assert.equal(booth.update([{ happy: 0.9 }, { happy: 0.8, attentive: true }], 200), false);
+        assert.equal(booth.update([{ happy: 0.9 }, { happy: 0.8, attentive: true }], 699), false);
+        assert.equal(booth.update([{ happy: 0.9 }, { happy: 0.8, attentive: true }], 700), true);
+        assert.equal(booth.state, 'countdown');
+        assert.equal(booth.update([], 800), false);
+    });
+
+    it('ranks sharp, smiling frames first', () => {
+        const env = createBrowserEnv();
+        const PhotoBooth = env.get('PhotoBooth');
+        const flat = PhotoBooth.sharpness(image(8, 8, () => 128));
+        const checkered = PhotoBooth.sharpness(image(8, 8, (x, y) => ((x + y) % 2 ? 255 : 0)));
+
+        assert.equal(flat, 0);
+        assert.ok(checkered > 0);
+        const ranked = PhotoBooth.rankFrames([
+            { id: 'blurry', smile: 0.9, sharpness: 0 },
+            { id: 'frown', smile: 0.2, sharpness: 100 },
+            { id: 'best', smile: 0.85, sharpness: 100 }
+        ]);
+        assert.deepEqual(ranked.map(frame => frame.id), ['best', 'blurry', 'frown']);
+    });
+
+    it('scores each burst frame from a detection on that frame', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ settings: { privacyMode: 'blur' } });
+        app.pauseDetection();
+        const face = happy => ({ detection: { box: { x: 0, y: 0, width: 10, height: 10 }, score: 0.9 }, expressions: expressions({ happy }) });
+        const perFrame = [[face(0.2)], [face(0.9), face(0.7)]];
+        const detectAllFaces = env.faceapi.detectAllFaces;
+        env.faceapi.detectAllFaces = (...args) => {
+            env.faceapi.detections = perFrame.shift();
+            return detectAllFaces(...args);
+        };
+        app.photoBooth.state = 'capturing';
+
+        // One frame per burst keeps the burst interval timer out of the test
+        const [first] = await app.captureBoothBurst(1);
+        const [second] = await app.captureBoothBurst(1);
+
+        assert.equal(first.smile, 0.2);
+        assert.equal(second.smile, 0.8);
+    });
+
+    it('arms from the button and triggers on smiles from the detection loop', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        let runs = 0;
+        app.runPhotoBooth = () => runs++;
+        const smiling = [{ detection: { box: { x: 0, y: 0, width: 10, height: 10 }, score: 0.9 }, expressions: expressions({ happy: 0.9 }) }];
+
+        app.updatePhotoBooth(smiling, 0);
+        assert.equal(runs, 0);
+
+        env.document.getElementById('photoBoothBtn').click();
+        assert.equal(app.photoBooth.state, 'waiting');
+        assert.ok(env.document.getElementById('photoBoothBtn').classList.contains('active'));
+
+        app.updatePhotoBooth(smiling, 0);
+        app.updatePhotoBooth(smiling, 600);
+        assert.equal(runs, 1);
+
+        app.stopPhotoBooth();
+        assert.equal(app.photoBooth.state, 'idle');
+        assert.ok(env.document.getElementById('boothOverlay').classList.contains('hidden'));
+    });
+});
+
+describe('embedding', () => {
+    // Camera metadata only "loads" on the fake document's video element
+    it('sends label clicks to the controls in its own container', async () => {
+        const env = createBrowserEnv();
+        const container = new FakeElement();
+        const app = await env.createApp({ container, elements: { video: env.document.getElementById('videoElement') } });
+        const checkbox = app.elements.mirrorView;
+        checkbox.type = 'checkbox';
+        let clicks = 0;
+        checkbox.addEventListener('click', () => clicks++);
+        const label = new FakeElement('label');
+        label.htmlFor = 'mirrorView';
+        label.closest = () => label;
+        let prevented = false;
+
+        container.dispatch('click', { target: label, preventDefault: () => { prevented = true; } });
+
+        assert.equal(clicks, 1);
+        assert.equal(prevented, true);
+    });
+
+    it('opens its own file pickers', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp({ container: new FakeElement(), elements: { video: env.document.getElementById('videoElement') } });
+        let opened = 0;
+        app.elements.importSettingsInput.addEventListener('click', () => opened++);
+
+        app.elements.importSettingsBtn.click();
+
+        assert.equal(opened, 1);
+    });
+});
+
+describe('openMediaFile', () => {
+    function undecodable(env) {
+        env.document.getElementById('imageElement').decode = async () => {
+            throw new Error('The image could not be decoded');
+        };
+        return new Blob([], { type: 'image/png' });
+    }
+
+    it('reports a camera failure after an undecodable file instead of rejecting', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        env.mediaDevices.failWith = new Error('No camera');
+
+        await app.openMediaFile(undecodable(env));
+
+        assert.equal(app.sourceType, 'camera');
+        assert.equal(app.isCameraActive, false);
+        assert.ok(env.toasts().some(toast => toast.includes('Cannot Open File')));
+        assert.ok(env.toasts().some(toast => toast.includes('No camera')));
+    });
+
+    it('leaves the camera off when it was off before', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.stopCamera();
+        const requests = env.mediaDevices.requests.length;
+
+        await app.openMediaFile(undecodable(env));
+
+        assert.equal(env.mediaDevices.requests.length, requests);
+        assert.equal(app.isCameraActive, false);
+        assert.equal(app.mediaObjectUrl, null);
+    });
+});
+
+describe('switchCamera', () => {
+    it('stops the old stream and opens the requested device', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const oldStream = app.currentStream;
+
+        await app.switchCamera('cam-2');
+
+        assert.equal(oldStream.track.stopped, true);
+        assert.notEqual(app.currentStream, oldStream);
+        assert.deepEqual(plain(env.mediaDevices.requests.at(-1).video.deviceId), { exact: 'cam-2' });
+        assert.equal(app.settings.preferredCamera, 'cam-2');
+        assert.equal(app.isCameraActive, true);
+        assert.ok(env.toasts().some(toast => toast.includes('Camera Switched')));
+    });
+
+    it('reports a failure without leaving the camera marked active', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        const errors = [];
+        app.addEventListener('error', (e) => errors.push(e.detail.context));
+
+        env.mediaDevices.failWith = new Error('Device busy');
+        await app.switchCamera('cam-2');
+
+        assert.equal(app.isCameraActive, false);
+        assert.ok(env.toasts().some(toast => toast.includes('Camera Switch Failed')));
+        assert.ok(errors.includes('Camera switch failed'));
+    });
+
+    it('does nothing while the camera is off', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.stopCamera();
+        const requests = env.mediaDevices.requests.length;
+
+        await app.switchCamera('cam-2');
+
+        assert.equal(env.mediaDevices.requests.length, requests);
+    });
+});
+
+describe('visibility changes', () => {
+    it('pauses detection when the page is hidden and resumes when shown', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        assert.equal(app.isDetectionRunning, true);
+
+        env.document.hidden = true;
+        env.document.dispatch('visibilitychange');
+        assert.equal(app.isDetectionRunning, false);
+
+        env.document.hidden = false;
+        env.document.dispatch('visibilitychange');
+        assert.equal(app.isDetectionRunning, true);
+    });
+
+    it('does not resume without an active source', async () => {
+        const env = createBrowserEnv();
+        const app = await env.createApp();
+        app.stopCamera();
+
+        env.document.hidden = false;
+        env.document.dispatch('visibilitychange');
+
+        assert.equal(app.isDetectionRunning, false);
+    });
+});
+
+describe('checkBrowserCompatibility', () => {
+    it('reports no issues in a capable, secure browser', () => {
+        const env = createBrowserEnv();
+        assert.deepEqual(plain(env.get('checkBrowserCompatibility')()), []);
+    });
+
+    it('reports missing camera access and insecure origins', () => {
+        const env = createBrowserEnv({ location: { protocol: 'http:', hostname: 'example.com' } });
+        env.context.navigator.mediaDevices = undefined;
+
+        assert.deepEqual(plain(env.get('checkBrowserCompatibility')()), [
+            'Camera access not supported',
+            'HTTPS required for camera access'
+        ]);
+    });
+
+    it('allows plain HTTP on localhost', () => {
+        const env = createBrowserEnv({ location: { protocol: 'http:', hostname: 'localhost' } });
+        assert.deepEqual(plain(env.get('checkBrowserCompatibility')()), []);
+    });
+});
@@ -0,0 +1,460 @@
+/**
+ * FaceMoji - Headless browser environment for tests
+ *
+ * Loads script.js into a Node `vm` context with just enough of the browser
+ * around it: a fake DOM whose elements are created on first lookup, a stubbed
+ * `faceapi` global, fake `navigator.mediaDevices`, an in-memory localStorage
+ * and a scriptable `fetch`. Nothing touches the network, so the suite runs
+ * offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'script.js');
+
+/**
+ * Minimal stand-in for a DOM element; unknown properties can be set freely
+ */
+class FakeElement {
+    constructor(tagName = 'div', id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.textContent = '';
+        this.innerHTML = '';
+        this.className = '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.selectors = new Map();
+        this.classList = new FakeClassList();
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== handler);
+    }
+
+    dispatch(type, event = {}) {
+        (this.listeners[type] || []).forEach(handler => handler({ type, target: this, ...event }));
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(candidate => candidate !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    removeAttribute(name) {
+        delete this[name];
+    }
+
+    // Child lookups always succeed with a stable stub per selector
+    querySelector(selector) {
+        if (!this.selectors.has(selector)) {
+            this.selectors.set(selector, new FakeElement());
+        }
+        return this.selectors.get(selector);
+    }
+
+    closest() {
+        return null;
+    }
+
+    matches() {
+        return false;
+    }
+
+    click() {
+        this.dispatch('click');
+    }
+
+    getContext() {
+        return createFakeContext(this);
+    }
+
+    toBlob(callback) {
+        callback(new Blob([]));
+    }
+}
+
+class FakeClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.names.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.names.delete(name));
+    }
+
+    toggle(name, force) {
+        const enabled = force === undefined ? !this.names.has(name) : force;
+        if (enabled) {
+            this.names.add(name);
+        } else {
+            this.names.delete(name);
+        }
+        return enabled;
+    }
+
+    contains(name) {
+        return this.names.has(name);
+    }
+}
+
+/**
+ * Video element whose metadata "loads" right after a stream is attached
+ */
+class FakeVideoElement extends FakeElement {
+    constructor(id) {
+        super('video', id);
+        this.paused = false;
+        this.ended = false;
+        this.videoWidth = 640;
+        this.videoHeight = 480;
+        this.readyState = 4;
+        this.onloadedmetadata = null;
+        this._srcObject = null;
+    }
+
+    get srcObject() {
+        return this._srcObject;
+    }
+
+    set srcObject(stream) {
+        this._srcObject = stream;
+        if (stream) {
+            setTimeout(() => this.onloadedmetadata && this.onloadedmetadata(), 0);
+        }
+    }
+
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    load() {}
+
+    removeAttribute() {}
+}
+
+/**
+ * 2D context that accepts any drawing call or property
+ */
+function createFakeContext(canvas) {
+    return new Proxy({ canvas }, {
+        get(target, property) {
+            if (property in target) return target[property];
+            if (property === 'measureText') return () => ({ width: 0 });
+            return () => {};
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+class FakeDocument {
+    constructor() {
+        this.elements = new Map();
+        this.listeners = {};
+        this.hidden = false;
+        this.fullscreenElement = null;
+    }
+
+    getElementById(id) {
+        if (!this.elements.has(id)) {
+            const element = id === 'videoElement' ? new FakeVideoElement(id) : new FakeElement('div', id);
+            this.elements.set(id, element);
+        }
+        return this.elements.get(id);
+    }
+
+    querySelector(selector) {
+        return selector.startsWith('#') ? this.getElementById(selector.slice(1)) : null;
+    }
+
+    createElement(tagName) {
+        return tagName === 'video' ? new FakeVideoElement() : new FakeElement(tagName);
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== handler);
+    }
+
+    dispatch(type, event = {}) {
+        (this.listeners[type] || []).forEach(handler => handler({ type, target: new FakeElement(), ...event }));
+    }
+}
+
+/**
+ * face-api.js stand-in; `detections` is what every detection task resolves with
+ */
+function createFaceApiStub() {
+    const stub = {
+        loads: [],
+        detections: [],
+        nets: {}
+    };
+
+    [
+        'tinyFaceDetector',
+        'ssdMobilenetv1',
+        'faceLandmark68Net',
+        'faceLandmark68TinyNet',
+        'faceRecognitionNet',
+        'faceExpressionNet',
+        'ageGenderNet'
+    ].forEach(name => {
+        stub.nets[name] = {
+            isLoaded: false,
+            async loadFromUri(uri) {
+                stub.loads.push({ net: name, uri });
+                this.isLoaded = true;
+            }
+        };
+    });
+
+    // Like face-api.js, SSD options cap the result count with `maxResults`
+    stub.detectAllFaces = (input, options = {}) => {
+        const results = () => stub.detections.slice(0, options.maxResults ?? Infinity);
+        const task = {
+            withFaceLandmarks: () => task,
+            withFaceExpressions: () => task,
+            withAgeAndGender: () => task,
+            withFaceDescriptors: () => task,
+            then: (resolve, reject) => Promise.resolve(results()).then(resolve, reject)
+        };
+        return task;
+    };
+
+    stub.TinyFaceDetectorOptions = class {
+        constructor(options) {
+            Object.assign(this, options);
+        }
+    };
+    stub.SsdMobilenetv1Options = stub.TinyFaceDetectorOptions;
+    stub.LabeledFaceDescriptors = class {
+        constructor(label, descriptors) {
+            this.label = label;
+            this.descriptors = descriptors;
+        }
+    };
+    stub.FaceMatcher = class {
+        constructor(labeledDescriptors, distanceThreshold) {
+            this.labeledDescriptors = labeledDescriptors;
+            this.distanceThreshold = distanceThreshold;
+        }
+
+        findBestMatch() {
+            return { label: 'unknown', distance: 1 };
+        }
+    };
+
+    return stub;
+}
+
+/**
+ * Camera devices and getUserMedia; `failWith` makes the next calls reject
+ */
+function createMediaDevices() {
+    const mediaDevices = {
+        requests: [],
+        streams: [],
+        failWith: null,
+        devices: [
+            { kind: 'videoinput', deviceId: 'cam-1', label: 'Front Camera' },
+            { kind: 'videoinput', deviceId: 'cam-2', label: 'Back Camera' }
+        ],
+
+        async enumerateDevices() {
+            return mediaDevices.devices;
+        },
+
+        async getUserMedia(constraints) {
+            mediaDevices.requests.push(constraints);
+            if (mediaDevices.failWith) {
+                throw mediaDevices.failWith;
+            }
+
+            const track = { stopped: false, stop() { this.stopped = true; } };
+            const stream = { id: `stream-${mediaDevices.streams.length + 1}`, track, getTracks: () => [track] };
+            mediaDevices.streams.push(stream);
+            return stream;
+        }
+    };
+    return mediaDevices;
+}
+
+/**
+ * Detection worker stand-in; `handle(message)` answers each request or throws
+ */
+function createWorkerClass(handle, messages) {
+    return class FakeWorker {
+        constructor(url) {
+            this.url = url;
+            this.terminated = false;
+            this.listeners = {};
+        }
+
+        addEventListener(type, handler) {
+            (this.listeners[type] = this.listeners[type] || []).push(handler);
+        }
+
+        postMessage(message) {
+            messages.push(message);
+            Promise.resolve().then(() => {
+                try {
+                    return { id: message.id, result: handle(message) };
+                } catch (error) {
+                    return { id: message.id, error: error.message };
+                }
+            }).then(data => {
+                if (this.terminated) return;
+                (this.listeners.message || []).forEach(handler => handler({ data }));
+            });
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+/**
+ * Timers that never keep the test process alive (loadModels races 10 s timeouts)
+ */
+function unrefTimer(timer) {
+    if (timer && typeof timer.unref === 'function') timer.unref();
+    return timer;
+}
+
+/**
+ * Build a fresh browser-like context and run script.js in it.
+ *
+ * Options:
+ * - fetch(url, init): response for model probes and other requests (default: `{ ok: true, status: 200 }`)
+ * - storage: initial localStorage entries
+ * - location: overrides for `location`
+ * - worker(message): enables the detection worker and answers its requests
+ */
+function createBrowserEnv(options = {}) {
+    const document = new FakeDocument();
+    const faceapi = createFaceApiStub();
+    const mediaDevices = createMediaDevices();
+    const storage = new Map(Object.entries(options.storage || {}));
+    const fetchCalls = [];
+    const animationFrames = [];
+    const workerMessages = [];
+
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        document,
+        faceapi,
+        navigator: { mediaDevices, userAgent: 'node' },
+        location: {
+            protocol: 'https:',
+            hostname: 'facemoji.test',
+            href: 'https://facemoji.test/',
+            search: '',
+            ...options.location
+        },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        fetch: async (url, init) => {
+            fetchCalls.push(url);
+            return options.fetch ? options.fetch(url, init) : { ok: true, status: 200 };
+        },
+        performance: { now: () => Date.now() },
+        requestAnimationFrame: callback => animationFrames.push(callback),
+        cancelAnimationFrame: () => {},
+        setTimeout: (...args) => unrefTimer(setTimeout(...args)),
+        clearTimeout,
+        setInterval: (...args) => unrefTimer(setInterval(...args)),
+        clearInterval,
+        EventTarget,
+        CustomEvent,
+        URL,
+        URLSearchParams,
+        Blob,
+        CSS: { escape: value => value },
+        Image: class {}
+    };
+    if (options.worker) {
+        context.Worker = createWorkerClass(options.worker, workerMessages);
+        context.OffscreenCanvas = class {};
+        context.createImageBitmap = async () => ({ close() {} });
+    }
+    context.window = context;
+    context.addEventListener = () => {};
+    context.removeEventListener = () => {};
+    vm.createContext(context);
+
+    vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: 'script.js' });
+
+    return {
+        context,
+        document,
+        faceapi,
+        mediaDevices,
+        storage,
+        fetchCalls,
+        animationFrames,
+        workerMessages,
+
+        // Top-level declarations of script.js (classes and functions)
+        get(name) {
+            return vm.runInContext(name, context);
+        },
+
+        /**
+         * Construct the app and wait for init() to finish
+         */
+        async createApp(config = {}) {
+            const FaceMojiApp = vm.runInContext('FaceMojiApp', context);
+            const app = new FaceMojiApp({ offlineCache: false, ...config });
+            await app.ready;
+            return app;
+        },
+
+        /**
+         * Markup of the toasts shown so far
+         */
+        toasts() {
+            return document.getElementById('toastContainer').children.map(toast => toast.innerHTML);
+        }
+    };
+}
+
+module.exports = { createBrowserEnv, FakeElement };